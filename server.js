@@ -0,0 +1,6699 @@
+import { Server } from "@modelcontextprotocol/sdk/server/index.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import {
+  ListToolsRequestSchema,
+  CallToolRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  McpError,
+  ErrorCode,
+  isInitializeRequest,
+  RootsListChangedNotificationSchema,
+} from "@modelcontextprotocol/sdk/types.js";
+import { spawn, exec } from "child_process";
+import { promisify } from "util";
+import { AsyncLocalStorage } from "async_hooks";
+import { randomUUID, randomBytes, timingSafeEqual, createHash } from "crypto";
+import { writeFile, appendFile, rename, unlink, stat, access, mkdir, open, readdir, realpath, rm, utimes } from "fs/promises";
+import { constants, readFileSync, readdirSync, readlinkSync, accessSync, createWriteStream, createReadStream, watchFile, unwatchFile } from "fs";
+import { createInterface } from "readline";
+import { StringDecoder } from "string_decoder";
+import { connect as netConnect } from "net";
+import http from "http";
+import https from "https";
+import { tmpdir, constants as osConstants } from "os";
+import { join, resolve, basename, extname, sep, delimiter } from "path";
+import { fileURLToPath } from "url";
+import YAML from "yaml";
+
+const execAsync = promisify(exec);
+
+// bash-mcp 서버 생성
+// 설정은 options에서 먼저 찾고, 없으면 options.env(기본값 process.env)의 BASH_MCP_* 환경변수를 사용
+//   maxOutputSize  응답 최대 크기 (BASH_MCP_MAX_OUTPUT_SIZE)
+//   tempDir        overflow 파일과 로그를 저장할 디렉토리 (BASH_MCP_TEMP_DIR)
+//   defaultShell   기본 셸 (BASH_MCP_DEFAULT_SHELL)
+//   roots          작업 루트 경로 배열 (BASH_MCP_ROOTS)
+//   policyFile     명령 정책 파일 (BASH_MCP_POLICY_FILE)
+//   toolsFile      사용자 정의 도구 파일 (BASH_MCP_TOOLS_FILE)
+//   auditLog       감사 로그 경로 또는 "off" (BASH_MCP_AUDIT_LOG)
+//   env            나머지 BASH_MCP_* 설정을 읽을 객체
+//   baseEnv        명령이 물려받는 환경변수 (기본값 process.env, 셸을 찾을 PATH와 가릴 비밀값도 여기서 읽음)
+//   hooks          { beforeExecute(context), afterExecute(context) }
+//                  context: { tool, command, cwd }, afterExecute에는 result도 포함
+//                  run_script는 context.script에 스크립트 본문도 전달
+//                  beforeExecute가 false를 반환하거나 예외를 던지면 명령을 실행하지 않음
+// 반환값: 첫 연결용 server, 추가 연결용 createServer(), startHttpServer(), reloadTools(),
+//         준비 완료 ready 프로미스, 백그라운드 프로세스/세션/예약 작업을 모두 종료하는 close()
+// 정책 파일이나 도구 파일을 읽지 못하면 예외 발생
+// 백그라운드 프로세스, 세션, 예약 작업은 이 서버 인스턴스의 모든 연결이 공유
+export function createBashMcpServer(options = {}) {
+  const settings = options.env || process.env;
+  // 설정(env)과 달리 명령에 전달할 환경은 기본적으로 서버 프로세스의 환경을 사용
+  const baseEnv = options.baseEnv || process.env;
+
+  // MCP 최대 출력 크기 (환경변수에서 읽거나 기본값 50KB)
+  const MAX_OUTPUT_SIZE = parseInt(options.maxOutputSize || settings.BASH_MCP_MAX_OUTPUT_SIZE || '51200', 10);
+
+  // 잘린 출력에서 앞부분이 차지하는 비율 (나머지는 끝부분, 기본값 0.3)
+  const OUTPUT_HEAD_RATIO = Math.min(1, Math.max(0, parseFloat(settings.BASH_MCP_OUTPUT_HEAD_RATIO || '0.3')));
+
+  // 응답 JSON에서 출력 이외의 필드에 남겨두는 여유 크기
+  const RESPONSE_OVERHEAD = 2048;
+
+  // 프로세스 종료 시 SIGKILL 전까지 기다리는 시간 (기본값 5초)
+  const KILL_GRACE_PERIOD = parseInt(settings.BASH_MCP_KILL_GRACE_PERIOD || '5000', 10);
+
+  // 감사 로그 설정 (경로 미지정 시 임시 디렉토리, "off"이면 비활성화)
+  const AUDIT_LOG = options.auditLog || settings.BASH_MCP_AUDIT_LOG;
+  const AUDIT_LOG_MAX_SIZE = parseInt(settings.BASH_MCP_AUDIT_LOG_MAX_SIZE || '10485760', 10);
+  const AUDIT_LOG_MAX_FILES = parseInt(settings.BASH_MCP_AUDIT_LOG_MAX_FILES || '5', 10);
+
+  // 출력의 비밀값 가리기 ("off"이면 비활성화)와 사용자 정의 패턴 (JSON 배열: 문자열 또는 {name, pattern, flags})
+  const REDACT_ENABLED = settings.BASH_MCP_REDACT !== 'off' && settings.BASH_MCP_REDACT !== 'false';
+  const REDACT_PATTERNS = settings.BASH_MCP_REDACT_PATTERNS;
+
+  // 명령 실행을 허용하는 작업 루트 (경로 구분자로 구분, 클라이언트의 MCP roots와 합쳐서 사용)
+  const STATIC_ROOTS = (options.roots || (settings.BASH_MCP_ROOTS || '').split(delimiter)).filter(Boolean).map((root) => resolve(root));
+
+  // 샌드박스 실행 (auto: bwrap 또는 unshare 중 사용 가능한 것, off: 사용 안 함)와 네트워크 차단 여부
+  const SANDBOX = ['1', 'true', 'on'].includes(settings.BASH_MCP_SANDBOX) ? 'auto' : (settings.BASH_MCP_SANDBOX || 'off');
+  const SANDBOX_NETWORK = !['0', 'false', 'off'].includes(settings.BASH_MCP_SANDBOX_NETWORK);
+
+  // run, run_background의 기본 셸 (bash, sh, zsh, bash-login)
+  const DEFAULT_SHELL = options.defaultShell || settings.BASH_MCP_DEFAULT_SHELL || 'bash';
+
+  // 명령에 전달하는 서버 환경변수 허용/차단 목록 (쉼표로 구분, * 와일드카드, 대소문자 무시)
+  // 허용 목록이 없으면 차단 목록에 해당하지 않는 모든 변수를 전달
+  const ENV_ALLOW = parseEnvPatterns(settings.BASH_MCP_ENV_ALLOW);
+  const ENV_DENY = parseEnvPatterns(settings.BASH_MCP_ENV_DENY !== undefined
+    ? settings.BASH_MCP_ENV_DENY
+    : '*TOKEN*,*SECRET*,*PASSWORD*,*PASSWD*,*CREDENTIAL*,*_KEY,*_KEY_ID,*APIKEY*,*PRIVATE_KEY*');
+
+  function parseEnvPatterns(value) {
+    if (!value) {
+      return [];
+    }
+    return value.split(',').map((pattern) => pattern.trim()).filter(Boolean).map((pattern) =>
+      new RegExp(`^${pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`, 'i')
+    );
+  }
+
+  // 서버 기본 리소스 제한 (run, run_background 호출 시 limits로 재정의 가능)
+  const DEFAULT_LIMITS = {
+    cpu_seconds: settings.BASH_MCP_LIMIT_CPU_SECONDS,
+    memory_mb: settings.BASH_MCP_LIMIT_MEMORY_MB,
+    file_size_mb: settings.BASH_MCP_LIMIT_FILE_SIZE_MB,
+    max_processes: settings.BASH_MCP_LIMIT_MAX_PROCESSES,
+    nice: settings.BASH_MCP_LIMIT_NICE,
+    cgroup: settings.BASH_MCP_LIMIT_CGROUP === '1' || settings.BASH_MCP_LIMIT_CGROUP === 'true',
+  };
+
+  // 진행 알림으로 출력을 전송하는 최소 간격 (기본값 1초)
+  const PROGRESS_INTERVAL = parseInt(settings.BASH_MCP_PROGRESS_INTERVAL || '1000', 10);
+
+  // 진행 알림 한 번에 담는 최대 출력 크기 (기본값 4KB)
+  const PROGRESS_CHUNK_SIZE = parseInt(settings.BASH_MCP_PROGRESS_CHUNK_SIZE || '4096', 10);
+
+  // 종료된 백그라운드 프로세스 기록 보관 개수와 기간 (기본값 50개, 1시간)
+  const HISTORY_SIZE = parseInt(settings.BASH_MCP_HISTORY_SIZE || '50', 10);
+  const HISTORY_MAX_AGE = parseInt(settings.BASH_MCP_HISTORY_MAX_AGE || '3600000', 10);
+
+  // 예약 작업별 실행 기록 보관 개수와 기록에 남기는 출력 크기 (기본값 20회, 4KB)
+  const JOB_HISTORY_SIZE = parseInt(settings.BASH_MCP_JOB_HISTORY_SIZE || '20', 10);
+  const JOB_OUTPUT_SIZE = parseInt(settings.BASH_MCP_JOB_OUTPUT_SIZE || '4096', 10);
+
+  // overflow 파일과 백그라운드 로그 보관 기간, 전체 크기, 정리 주기 (기본값 24시간, 512MB, 10분)
+  const RETENTION_MAX_AGE = parseInt(settings.BASH_MCP_RETENTION_MAX_AGE || '86400000', 10);
+  const RETENTION_MAX_SIZE = parseInt(settings.BASH_MCP_RETENTION_MAX_SIZE || '536870912', 10);
+  const RETENTION_INTERVAL = parseInt(settings.BASH_MCP_RETENTION_INTERVAL || '600000', 10);
+
+  // 백그라운드 로그에서 비밀값을 가리기 전에 줄바꿈을 기다리는 최대 길이 (64KB)
+  const BACKGROUND_LOG_LINE_LIMIT = 64 * 1024;
+
+  // 리소스 읽기 한 번에 반환하는 최대 크기 (기본값 1MB, offset/length로 나눠 읽기)
+  const RESOURCE_READ_SIZE = parseInt(settings.BASH_MCP_RESOURCE_READ_SIZE || '1048576', 10);
+
+  // HTTP 요청 본문 최대 크기 (4MB)
+  const HTTP_MAX_BODY_SIZE = 4 * 1024 * 1024;
+
+  // 임시 디렉토리 유효성 검증 함수
+  async function validateTempDir(dirPath) {
+    try {
+      const stats = await stat(dirPath);
+      if (!stats.isDirectory()) {
+        console.error(`BASH_MCP_TEMP_DIR is not a directory: ${dirPath}`);
+        return false;
+      }
+      // 쓰기 권한 확인
+      await access(dirPath, constants.W_OK);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        // 디렉토리가 없으면 생성 시도
+        try {
+          await mkdir(dirPath, { recursive: true });
+          return true;
+        } catch (mkdirError) {
+          console.error(`Failed to create BASH_MCP_TEMP_DIR: ${dirPath}`, mkdirError);
+          return false;
+        }
+      }
+      console.error(`Cannot access BASH_MCP_TEMP_DIR: ${dirPath}`, error);
+      return false;
+    }
+  }
+
+  // MCP 임시 디렉토리 설정
+  let TEMP_DIR = tmpdir(); // 기본값
+  const customTempDir = options.tempDir || settings.BASH_MCP_TEMP_DIR;
+  let tempDirReady = Promise.resolve();
+  if (customTempDir) {
+    tempDirReady = validateTempDir(customTempDir).then(isValid => {
+      if (isValid) {
+        TEMP_DIR = customTempDir;
+        console.error(`Using custom temp directory: ${TEMP_DIR}`);
+      } else {
+        console.error(`Falling back to system temp directory: ${TEMP_DIR}`);
+      }
+    });
+  }
+
+  // overflow 파일과 백그라운드 로그는 인스턴스별 하위 디렉토리에 저장
+  // 같은 TEMP_DIR을 쓰는 다른 서버 인스턴스의 파일을 정리하지 않도록 하기 위함
+  const OUTPUT_DIR_PATTERN = /^bash-mcp-\d+-[0-9a-f]{8}$/;
+  const outputDirName = `bash-mcp-${process.pid}-${randomBytes(4).toString('hex')}`;
+  let OUTPUT_DIR = join(TEMP_DIR, outputDirName);
+  tempDirReady = tempDirReady.then(async () => {
+    OUTPUT_DIR = join(TEMP_DIR, outputDirName);
+    try {
+      await mkdir(OUTPUT_DIR, { recursive: true, mode: 0o700 });
+    } catch (error) {
+      console.error(`Failed to create output directory ${OUTPUT_DIR}, using ${TEMP_DIR}:`, error.message);
+      OUTPUT_DIR = TEMP_DIR;
+    }
+  });
+
+  // 연결된 MCP 서버 인스턴스 (stdio는 하나, HTTP는 세션마다 하나)
+  // 백그라운드 프로세스, 세션 등 나머지 상태는 모든 연결이 공유
+  const servers = new Set();
+
+  // startHttpServer로 시작한 HTTP 서버 (close에서 함께 종료)
+  const httpServers = new Set();
+
+  // 현재 처리 중인 요청의 서버 인스턴스와 연결 세션 ID (감사 로그의 클라이언트 정보용)
+  const requestContext = new AsyncLocalStorage();
+
+  // 백그라운드 프로세스 저장소
+  const backgroundProcesses = new Map();
+
+  // 비밀값 탐지 규칙 (앞에서부터 순서대로 적용)
+  // group이 있으면 해당 캡처 그룹만 가리고, 없으면 일치한 전체를 가림
+  const SECRET_DETECTORS = [
+    { name: 'private-key', regex: /-----BEGIN [A-Z0-9 ]*PRIVATE KEY( BLOCK)?-----[\s\S]*?-----END [A-Z0-9 ]*PRIVATE KEY( BLOCK)?-----/g },
+    { name: 'aws-access-key', regex: /\b(?:AKIA|ASIA|AGPA|AIDA|AROA|ANPA|ANVA)[0-9A-Z]{16}\b/g },
+    { name: 'github-token', regex: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g },
+    { name: 'slack-token', regex: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g },
+    { name: 'slack-webhook', regex: /https:\/\/hooks\.slack\.com\/services\/[A-Za-z0-9/]+/g },
+    { name: 'jwt', regex: /\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{5,}/g },
+    // 이름이 비밀값처럼 보이는 변수/키의 값 (NAME=value, name: value, "name": "value")
+    // max_tokens, tokenizer처럼 단어가 중간에 들어간 이름은 제외하도록 이름이 해당 단어로 끝나는 경우만 탐지
+    {
+      name: 'secret-value',
+      regex: /\b([A-Za-z0-9_.-]*(?:token|secret|password|passwd|api[_-]?key|private[_-]?key|credentials?|access[_-]?key|[_.-]key)["']?[ \t]*[:=][ \t]*["']?)(?!\[REDACTED)(?!\*+(?:[\s"',;]|$))(?!(?:true|false|null)\b)([^\s"',;]{3,})/gi,
+      group: 2,
+    },
+  ];
+
+  // 사용자 정의 규칙과 서버 환경변수 중 비밀값의 실제 값 (8자 이상) 탐지 규칙
+  let customDetectors = null;
+  function getCustomDetectors() {
+    if (customDetectors) {
+      return customDetectors;
+    }
+    customDetectors = [];
+    if (REDACT_PATTERNS) {
+      let patterns;
+      try {
+        patterns = JSON.parse(REDACT_PATTERNS);
+        if (!Array.isArray(patterns)) {
+          throw new Error('expected a JSON array');
+        }
+      } catch (error) {
+        console.error(`Invalid BASH_MCP_REDACT_PATTERNS: ${error.message}`);
+        patterns = [];
+      }
+      for (const entry of patterns) {
+        const { name = 'custom', pattern, flags = '' } = typeof entry === 'string' ? { pattern: entry } : entry;
+        try {
+          const regex = new RegExp(pattern, flags.includes('g') ? flags : flags + 'g');
+          // 캡처 그룹이 있으면 첫 번째 그룹만 가림
+          customDetectors.push({ name, regex, group: new RegExp(`${pattern}|`).exec('').length > 1 ? 1 : undefined });
+        } catch (error) {
+          console.error(`Invalid redaction pattern ${pattern}: ${error.message}`);
+        }
+      }
+    }
+    for (const [key, value] of Object.entries(baseEnv)) {
+      if (value && value.length >= 8 && ENV_DENY.some((pattern) => pattern.test(key))) {
+        customDetectors.push({ name: `env:${key}`, regex: new RegExp(value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g') });
+      }
+    }
+    return customDetectors;
+  }
+
+  // 텍스트에서 비밀값을 [REDACTED:<종류>]로 바꾸고 바꾼 개수 반환
+  function redactSecrets(text) {
+    if (!REDACT_ENABLED || typeof text !== 'string' || text === '') {
+      return { text, count: 0 };
+    }
+    let count = 0;
+    for (const { name, regex, group } of [...SECRET_DETECTORS, ...getCustomDetectors()]) {
+      regex.lastIndex = 0;
+      text = text.replace(regex, (match, ...groups) => {
+        const secret = group ? groups[group - 1] : match;
+        if (!secret) {
+          return match;
+        }
+        count++;
+        const replacement = `[REDACTED:${name}]`;
+        if (!group) {
+          return replacement;
+        }
+        // 캡처 그룹 앞부분은 그대로 두고 그룹만 교체
+        const prefix = groups.slice(0, group - 1).filter((value) => typeof value === 'string').join('');
+        const index = match.indexOf(secret, prefix.length);
+        return match.slice(0, index) + replacement + match.slice(index + secret.length);
+      });
+    }
+    return { text, count };
+  }
+
+  // 응답 데이터의 모든 문자열 값에 비밀값 가리기 적용
+  function redactValue(value) {
+    if (typeof value === 'string') {
+      return redactSecrets(value);
+    }
+    if (Array.isArray(value)) {
+      let count = 0;
+      const items = value.map((item) => {
+        const result = redactValue(item);
+        count += result.count;
+        return result.text;
+      });
+      return { text: items, count };
+    }
+    if (value && typeof value === 'object') {
+      let count = 0;
+      const object = {};
+      for (const [key, item] of Object.entries(value)) {
+        const result = redactValue(item);
+        count += result.count;
+        object[key] = result.text;
+      }
+      return { text: object, count };
+    }
+    return { text: value, count: 0 };
+  }
+
+  // 텍스트를 UTF-8 바이트 기준으로 앞부분+뒷부분만 남기고 가운데를 생략 표시로 대체
+  // 가능하면 줄 경계에서 자르고, 결과(생략 표시 포함)가 maxBytes를 넘지 않도록 함
+  function truncateText(text, maxBytes) {
+    const buffer = Buffer.from(text, 'utf8');
+    if (buffer.length <= maxBytes) {
+      return { content: text, truncated: false, omittedBytes: 0, omittedLines: 0 };
+    }
+
+    // 생략 표시의 숫자 자릿수는 최대값 기준으로 예약
+    const markerReserve = Buffer.byteLength(elisionMarker(buffer.length, buffer.length));
+    const budget = Math.max(0, maxBytes - markerReserve);
+    let headEnd = Math.floor(budget * OUTPUT_HEAD_RATIO);
+    let tailStart = buffer.length - (budget - headEnd);
+
+    // 줄 경계로 맞추기 (각 부분의 1/4 이상을 버리게 되면 그대로 자름)
+    const headNewline = headEnd > 0 ? buffer.lastIndexOf(0x0a, headEnd - 1) : -1;
+    if (headNewline >= 0 && headNewline + 1 >= headEnd * 0.75) {
+      headEnd = headNewline + 1;
+    }
+    const tailNewline = buffer.indexOf(0x0a, tailStart);
+    if (tailNewline >= 0 && tailNewline < buffer.length - 1 && tailNewline + 1 - tailStart <= (buffer.length - tailStart) * 0.25) {
+      tailStart = tailNewline + 1;
+    }
+
+    // 멀티바이트 문자 중간에서 자르지 않도록 조정
+    const head = trimIncompleteUtf8(buffer.subarray(0, headEnd));
+    while (tailStart < buffer.length && (buffer[tailStart] & 0xc0) === 0x80) {
+      tailStart++;
+    }
+    const tail = buffer.subarray(tailStart);
+
+    const omitted = buffer.subarray(head.length, tailStart);
+    let omittedLines = 0;
+    for (let i = omitted.indexOf(0x0a); i !== -1; i = omitted.indexOf(0x0a, i + 1)) {
+      omittedLines++;
+    }
+
+    return {
+      content: head.toString('utf8') + elisionMarker(omittedLines, omitted.length) + tail.toString('utf8'),
+      truncated: true,
+      omittedBytes: omitted.length,
+      omittedLines
+    };
+  }
+
+  function elisionMarker(lines, bytes) {
+    return `\n[... ${lines} lines (${bytes} bytes) omitted ...]\n`;
+  }
+
+  // 전체 출력을 임시 파일에 저장하고 경로 반환 (실패 시 null)
+  async function saveFullOutput(output, prefix) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const filename = `bash-mcp-${prefix}-${timestamp}.txt`;
+    const filePath = join(OUTPUT_DIR, filename);
+
+    try {
+      await writeFile(filePath, output, 'utf8');
+      registerOverflowFile(filePath);
+      return filePath;
+    } catch (error) {
+      // 파일 저장 실패 시 시스템 temp 디렉토리로 재시도
+      console.error(`Failed to save to ${filePath}:`, error);
+
+      if (TEMP_DIR !== tmpdir()) {
+        // 커스텀 디렉토리 실패 시 시스템 기본 디렉토리로 재시도
+        const fallbackPath = join(tmpdir(), filename);
+        try {
+          await writeFile(fallbackPath, output, 'utf8');
+          registerOverflowFile(fallbackPath);
+          return fallbackPath;
+        } catch (fallbackError) {
+          console.error(`Failed to save to fallback path ${fallbackPath}:`, fallbackError);
+        }
+      }
+      return null;
+    }
+  }
+
+  // 출력 크기 제한 함수 (파일 저장 기능 추가)
+  // maxSize는 UTF-8 바이트 기준이며, 잘린 경우 안내 메시지까지 포함해 maxSize를 넘지 않음
+  async function truncateOutput(output, maxSize = MAX_OUTPUT_SIZE, prefix = 'output') {
+    const originalSize = Buffer.byteLength(output, 'utf8');
+    if (originalSize <= maxSize) {
+      return { content: output, filePath: null, overflow: false, originalSize };
+    }
+
+    const filePath = await saveFullOutput(output, prefix);
+
+    const message = filePath
+      ? `\n[Output truncated - ${originalSize} bytes exceeded ${maxSize} bytes limit]\n[Full output saved to: ${filePath}]\n[Resource: ${overflowResourceUri(filePath)}]`
+      : `\n[Output truncated - ${originalSize} bytes exceeded ${maxSize} bytes limit, failed to save full output]`;
+    const result = truncateText(output, Math.max(0, maxSize - Buffer.byteLength(message)));
+    const content = result.content + message;
+
+    return { 
+      content, 
+      filePath, 
+      resourceUri: filePath ? overflowResourceUri(filePath) : undefined,
+      overflow: true, 
+      originalSize,
+      truncatedSize: Buffer.byteLength(content),
+      omittedBytes: result.omittedBytes,
+      omittedLines: result.omittedLines
+    };
+  }
+
+  // 여러 출력(stdout, stderr 등)이 하나의 응답 크기 제한을 나눠 쓰도록 각 출력의 바이트 한도 계산
+  // JSON 이스케이프로 늘어나는 크기를 고려하고, 작은 출력은 그대로 두고 남는 몫을 큰 출력에 배분
+  function splitOutputBudget(maxSize, ...outputs) {
+    const budget = Math.max(256 * outputs.length, maxSize - Math.min(RESPONSE_OVERHEAD, Math.floor(maxSize / 4)));
+    const sizes = outputs.map((output) => {
+      const raw = Buffer.byteLength(output || '');
+      const escaped = Buffer.byteLength(JSON.stringify(output || '')) - 2;
+      return { raw, escaped, ratio: escaped > 0 ? raw / escaped : 1 };
+    });
+
+    const limits = new Array(outputs.length);
+    let remaining = budget;
+    let pending = sizes.map((size, index) => index).sort((a, b) => sizes[a].escaped - sizes[b].escaped);
+    while (pending.length > 0) {
+      const share = Math.floor(remaining / pending.length);
+      const index = pending[0];
+      if (sizes[index].escaped <= share) {
+        limits[index] = sizes[index].raw;
+        remaining -= sizes[index].escaped;
+        pending = pending.slice(1);
+        continue;
+      }
+      for (const rest of pending) {
+        limits[rest] = Math.floor(share * sizes[rest].ratio);
+      }
+      break;
+    }
+    return limits;
+  }
+
+  // stdout/stderr 잘림 결과로부터 overflow 정보 생성
+  function buildOverflowInfo(stdoutResult, stderrResult) {
+    const overflowInfo = {};
+    if (stdoutResult.overflow || stderrResult.overflow) {
+      overflowInfo.overflow = true;
+      overflowInfo.details = {};
+
+      if (stdoutResult.overflow) {
+        overflowInfo.details.stdout = {
+          originalSize: stdoutResult.originalSize,
+          truncatedSize: stdoutResult.truncatedSize,
+          omittedLines: stdoutResult.omittedLines,
+          omittedBytes: stdoutResult.omittedBytes,
+          filePath: stdoutResult.filePath,
+          resourceUri: stdoutResult.resourceUri
+        };
+      }
+
+      if (stderrResult.overflow) {
+        overflowInfo.details.stderr = {
+          originalSize: stderrResult.originalSize,
+          truncatedSize: stderrResult.truncatedSize,
+          omittedLines: stderrResult.omittedLines,
+          omittedBytes: stderrResult.omittedBytes,
+          filePath: stderrResult.filePath,
+          resourceUri: stderrResult.resourceUri
+        };
+      }
+    }
+    return overflowInfo;
+  }
+
+  // 취소된 요청 등 더 이상 필요 없는 overflow 파일 삭제
+  async function removeOverflowFiles(...results) {
+    for (const result of results) {
+      if (result && result.filePath) {
+        try {
+          await unlink(result.filePath);
+        } catch (e) {
+          // 이미 삭제된 경우 무시
+        }
+      }
+    }
+  }
+
+  // 취소된 요청의 응답 생성 (클라이언트에는 전달되지 않지만 감사 로그와 일관성을 위해 반환)
+  function cancelledResponse(command) {
+    return formatResponse(cancelledData(command), 'cancelled', { structured: true });
+  }
+
+  function cancelledData(command) {
+    return {
+      success: false,
+      cancelled: true,
+      error: "Request cancelled by client",
+      stdout: "",
+      stderr: "",
+      command
+    };
+  }
+
+  // 응답 JSON이 maxSize를 넘으면 가장 긴 문자열 값부터 앞뒤만 남기고 줄여 유효한 JSON을 유지
+  // 문자열을 줄여도 맞지 않으면 (예: 큰 parsed 배열) 전체 응답을 파일에 저장하고 요약만 반환
+  async function fitResponse(responseData, maxSize, prefix) {
+    let data = responseData;
+    let text = JSON.stringify(data, null, 2);
+    let size = Buffer.byteLength(text);
+    if (size <= maxSize) {
+      return data;
+    }
+
+    const fullOutput = text;
+    data = JSON.parse(fullOutput);
+    for (let attempt = 0; attempt < 10 && size > maxSize; attempt++) {
+      const largest = findLargestString(data);
+      if (!largest) {
+        break;
+      }
+      const escaped = Buffer.byteLength(JSON.stringify(largest.value)) - 2;
+      const target = escaped - (size - maxSize) - 64;
+      if (target < 256) {
+        break;
+      }
+      const ratio = Buffer.byteLength(largest.value) / escaped;
+      largest.parent[largest.key] = truncateText(largest.value, Math.floor(target * ratio)).content;
+      text = JSON.stringify(data, null, 2);
+      size = Buffer.byteLength(text);
+    }
+    if (size <= maxSize) {
+      data.truncated = true;
+      return data;
+    }
+
+    const filePath = await saveFullOutput(fullOutput, prefix);
+    return {
+      success: responseData.success,
+      error: `Response exceeded ${maxSize} bytes limit` + (filePath ? `, full response saved to: ${filePath}` : ''),
+      stdout: "",
+      stderr: "",
+      command: typeof responseData.command === 'string' ? truncateText(responseData.command, 1024).content : "",
+      truncated: true,
+      responseFile: filePath,
+      responseResource: filePath ? overflowResourceUri(filePath) : undefined
+    };
+  }
+
+  // 객체 안에서 가장 긴 문자열 값과 그 위치 찾기
+  function findLargestString(value, parent = null, key = null, best = null) {
+    if (typeof value === 'string') {
+      if (parent && (!best || value.length > best.value.length)) {
+        return { parent, key, value };
+      }
+      return best;
+    }
+    if (value && typeof value === 'object') {
+      for (const [childKey, child] of Object.entries(value)) {
+        best = findLargestString(child, value, childKey, best);
+      }
+    }
+    return best;
+  }
+
+  // 응답 데이터를 JSON 텍스트 content로 변환 (크기 제한 적용, 항상 유효한 JSON)
+  // structured가 true이면 outputSchema가 있는 도구를 위해 structuredContent도 포함
+  async function formatResponse(responseData, prefix, { structured = false, maxSize = MAX_OUTPUT_SIZE } = {}) {
+    // 출력 외 필드(에러 메시지, 최근 출력 등)에 남은 비밀값도 가림
+    const redacted = redactValue(responseData);
+    if (redacted.count > 0) {
+      redacted.text.redactions = (responseData.redactions || 0) + redacted.count;
+    }
+    const data = await fitResponse(redacted.text, maxSize, prefix);
+
+    const response = {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(data, null, 2),
+        },
+      ],
+    };
+    if (structured) {
+      response.structuredContent = data;
+    }
+    return response;
+  }
+
+  // CSV/TSV 파싱 (따옴표로 감싼 필드, 이스케이프된 따옴표, 필드 내 줄바꿈 지원)
+  function parseDelimited(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (quoted) {
+        if (ch === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (ch === '"') {
+          quoted = false;
+        } else {
+          field += ch;
+        }
+      } else if (ch === '"' && field === '') {
+        quoted = true;
+      } else if (ch === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && text[i + 1] === '\n') {
+          i++;
+        }
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += ch;
+      }
+    }
+    if (quoted) {
+      throw new Error('Unterminated quoted field');
+    }
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows.filter((fields) => !(fields.length === 1 && fields[0] === ''));
+  }
+
+  // 출력 파싱 (json, ndjson, csv, tsv, lines)
+  function parseOutput(text, format, options = {}) {
+    switch (format) {
+      case 'json':
+        return JSON.parse(text);
+
+      case 'ndjson':
+        return text.split('\n').map((line, index) => {
+          if (!line.trim()) {
+            return undefined;
+          }
+          try {
+            return JSON.parse(line);
+          } catch (error) {
+            throw new Error(`Line ${index + 1}: ${error.message}`);
+          }
+        }).filter((value) => value !== undefined);
+
+      case 'csv':
+      case 'tsv': {
+        const rows = parseDelimited(text, options.delimiter || (format === 'csv' ? ',' : '\t'));
+        if (options.header === false) {
+          return rows;
+        }
+        const [header = [], ...records] = rows;
+        return records.map((fields) => Object.fromEntries(header.map((key, index) => [key, fields[index] ?? ''])));
+      }
+
+      case 'lines': {
+        let lines = text.split('\n');
+        if (lines[lines.length - 1] === '') {
+          lines.pop();
+        }
+        if (options.skip_empty) {
+          lines = lines.filter((line) => line.trim() !== '');
+        }
+        if (!options.pattern) {
+          return lines;
+        }
+
+        // 정규식 필드 추출: 이름 있는 그룹은 객체, 그 외에는 그룹 배열 (일치하지 않는 줄은 제외)
+        const regex = new RegExp(options.pattern, options.flags);
+        return lines.map((line) => line.match(regex)).filter(Boolean).map((match) => {
+          if (match.groups) {
+            return { ...match.groups };
+          }
+          return match.length > 1 ? match.slice(1) : match[0];
+        });
+      }
+
+      default:
+        throw new Error(`Unknown parse format: ${format}`);
+    }
+  }
+
+  // stdout 파싱 결과를 응답 필드로 변환
+  // 파싱 실패나 결과가 너무 크면 원본 텍스트를 그대로 두고 parseError로 알림
+  function buildParsedFields(stdout, format, options, maxSize = MAX_OUTPUT_SIZE) {
+    try {
+      const parsed = parseOutput(stdout, format, options);
+      const size = Buffer.byteLength(JSON.stringify(parsed) || '');
+      if (size > maxSize) {
+        return { parsed: false, fields: { parseError: `Parsed output (${size} bytes) exceeds ${maxSize} bytes limit, returning raw text` } };
+      }
+      return { parsed: true, fields: { parsed, parseFormat: format } };
+    } catch (error) {
+      return { parsed: false, fields: { parseError: `Failed to parse output as ${format}: ${error.message}` } };
+    }
+  }
+
+  // 감사 로그 파일 경로 (비활성화 시 null)
+  function getAuditLogPath() {
+    if (AUDIT_LOG === 'off' || AUDIT_LOG === 'false') {
+      return null;
+    }
+    return AUDIT_LOG || join(TEMP_DIR, 'bash-mcp-audit.jsonl');
+  }
+
+  // 크기 제한을 넘은 감사 로그 회전 (audit.jsonl -> audit.jsonl.1 -> ... -> audit.jsonl.N)
+  async function rotateAuditLog(filePath) {
+    for (let i = AUDIT_LOG_MAX_FILES - 1; i >= 1; i--) {
+      try {
+        await rename(`${filePath}.${i}`, `${filePath}.${i + 1}`);
+      } catch (e) {
+        // 해당 회전 파일 없음
+      }
+    }
+    await rename(filePath, `${filePath}.1`);
+  }
+
+  let auditQueue = Promise.resolve();
+
+  // 감사 로그에 항목 추가 (쓰기 순서 보장을 위해 큐로 직렬화)
+  function recordAudit(entry) {
+    const filePath = getAuditLogPath();
+    if (!filePath) {
+      return;
+    }
+
+    const context = requestContext.getStore();
+    const clientVersion = context ? context.server.getClientVersion() : undefined;
+    // 명령이나 에러 메시지에 포함된 비밀값은 감사 로그에도 남기지 않음
+    const line = JSON.stringify({
+      time: new Date().toISOString(),
+      client: clientVersion ? { name: clientVersion.name, version: clientVersion.version } : undefined,
+      connection: context ? context.sessionId : undefined,
+      ...redactValue(entry).text,
+    }) + '\n';
+
+    auditQueue = auditQueue.then(async () => {
+      try {
+        const { size } = await stat(filePath);
+        if (size + Buffer.byteLength(line) > AUDIT_LOG_MAX_SIZE) {
+          await rotateAuditLog(filePath);
+        }
+      } catch (e) {
+        // 로그 파일이 아직 없음
+      }
+      // 전체 명령과 클라이언트 정보가 남으므로 overflow 파일처럼 소유자만 읽을 수 있게 생성
+      await appendFile(filePath, line, { encoding: 'utf8', mode: 0o600 });
+    }).catch((error) => {
+      console.error(`Failed to write audit log ${filePath}:`, error);
+    });
+  }
+
+  // 감사 로그에 남길 스크립트 정보 (본문의 비밀값은 recordAudit에서 가림)
+  function scriptAuditInfo(script) {
+    if (typeof script !== 'string') {
+      return undefined;
+    }
+    return { sha256: createHash('sha256').update(script).digest('hex'), size: Buffer.byteLength(script), body: script };
+  }
+
+  // 명령 실행 전후에 호출하는 훅 (createBashMcpServer의 hooks 옵션)
+  const hooks = options.hooks || {};
+
+  // beforeExecute 훅 실행: false를 반환하거나 예외를 던지면 명령을 실행하지 않고 거부 응답 데이터 반환
+  async function runBeforeExecute(context) {
+    if (!hooks.beforeExecute) {
+      return null;
+    }
+    let reason = null;
+    try {
+      if (await hooks.beforeExecute(context) === false) {
+        reason = 'Blocked by beforeExecute hook';
+      }
+    } catch (error) {
+      reason = `Blocked by beforeExecute hook: ${error.message}`;
+    }
+    if (!reason) {
+      return null;
+    }
+    recordAudit({ tool: context.tool, command: context.command, script: scriptAuditInfo(context.script), cwd: resolve(context.cwd || process.cwd()), success: false, blocked: true, error: reason });
+    return { success: false, blocked: true, error: reason, stdout: "", stderr: "", command: context.command };
+  }
+
+  // afterExecute 훅 실행 (훅의 오류는 기록만 하고 결과에는 영향 없음)
+  async function runAfterExecute(context) {
+    if (!hooks.afterExecute) {
+      return;
+    }
+    try {
+      await hooks.afterExecute(context);
+    } catch (error) {
+      console.error('afterExecute hook failed:', error);
+    }
+  }
+
+  // 명령 실행 결과를 감사 로그 항목으로 기록
+  function auditCommand(tool, { command, cwd, timeout, startedAt, stdout, stderr, overflowInfo, ...rest }) {
+    const endedAt = Date.now();
+    const overflowFiles = overflowInfo && overflowInfo.details
+      ? Object.fromEntries(Object.entries(overflowInfo.details).map(([key, detail]) => [key, detail.filePath]))
+      : undefined;
+
+    recordAudit({
+      tool,
+      command,
+      cwd: resolve(cwd || process.cwd()),
+      timeout,
+      startTime: new Date(startedAt).toISOString(),
+      endTime: new Date(endedAt).toISOString(),
+      duration: endedAt - startedAt,
+      stdoutSize: stdout !== undefined ? Buffer.byteLength(String(stdout)) : undefined,
+      stderrSize: stderr !== undefined ? Buffer.byteLength(String(stderr)) : undefined,
+      overflowFiles,
+      ...rest,
+    });
+  }
+
+  // 시간 필터 파싱: ISO 날짜 또는 현재 기준 상대 시간 (예: 30s, 15m, 2h, 1d)
+  function parseTimeFilter(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    const relative = String(value).match(/^(\d+)\s*(s|m|h|d)$/);
+    if (relative) {
+      const units = { s: 1000, m: 60000, h: 3600000, d: 86400000 };
+      return Date.now() - parseInt(relative[1], 10) * units[relative[2]];
+    }
+    const time = new Date(value).getTime();
+    if (Number.isNaN(time)) {
+      throw new Error(`Invalid time: ${value}`);
+    }
+    return time;
+  }
+
+  // 감사 로그 검색 (회전된 파일 포함, 오래된 것부터 읽고 최근 limit개 반환)
+  async function queryAudit({ since, until, command, tool, exitCode, status, limit = 50 }) {
+    const filePath = getAuditLogPath();
+    if (!filePath) {
+      throw new Error('Audit log is disabled');
+    }
+
+    const sinceTime = parseTimeFilter(since);
+    const untilTime = parseTimeFilter(until);
+    const commandPattern = command ? new RegExp(command) : null;
+
+    const files = [];
+    for (let i = AUDIT_LOG_MAX_FILES; i >= 1; i--) {
+      files.push(`${filePath}.${i}`);
+    }
+    files.push(filePath);
+
+    const entries = [];
+    let matched = 0;
+    for (const file of files) {
+      try {
+        await access(file);
+      } catch (e) {
+        continue;
+      }
+
+      const reader = createInterface({ input: createReadStream(file, { encoding: 'utf8' }), crlfDelay: Infinity });
+      for await (const line of reader) {
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (e) {
+          continue;
+        }
+        const time = new Date(entry.time).getTime();
+        if (sinceTime !== null && time < sinceTime) continue;
+        if (untilTime !== null && time > untilTime) continue;
+        if (tool && entry.tool !== tool) continue;
+        if (commandPattern && !commandPattern.test(entry.command || '')) continue;
+        if (exitCode !== undefined && entry.exitCode !== exitCode) continue;
+        if (status === 'success' && entry.success !== true) continue;
+        if (status === 'failure' && entry.success !== false) continue;
+
+        matched++;
+        entries.push(entry);
+        if (entries.length > limit) {
+          entries.shift();
+        }
+      }
+    }
+
+    return { filePath, matched, entries };
+  }
+
+  // PATH에서 실행 파일 존재 여부 확인 (결과 캐시)
+  const executableCache = new Map();
+  function findExecutable(name) {
+    if (!executableCache.has(name)) {
+      let found = null;
+      for (const dir of (baseEnv.PATH || '').split(delimiter)) {
+        try {
+          accessSync(join(dir, name), constants.X_OK);
+          found = join(dir, name);
+          break;
+        } catch (e) {
+          // 다음 경로 확인
+        }
+      }
+      executableCache.set(name, found);
+    }
+    return executableCache.get(name);
+  }
+
+  // 셸 이름을 실행 파일과 인자로 변환
+  function resolveShell(name = DEFAULT_SHELL) {
+    const shells = {
+      bash: { executable: 'bash', args: ['-c'] },
+      'bash-login': { executable: 'bash', args: ['-l', '-c'] },
+      sh: { executable: 'sh', args: ['-c'] },
+      zsh: { executable: 'zsh', args: ['-c'] },
+    };
+    const shell = shells[name];
+    if (!shell) {
+      throw new Error(`Unknown shell '${name}' (expected one of: ${Object.keys(shells).join(', ')})`);
+    }
+    const path = shell.executable === 'sh' ? '/bin/sh' : findExecutable(shell.executable);
+    if (!path) {
+      throw new Error(`Shell '${name}' is not available: ${shell.executable} was not found in PATH`);
+    }
+    return { name, path, args: shell.args };
+  }
+
+  // 환경변수를 넘기지 않을 때도 유지하는 기본 변수
+  const BASE_ENV_VARS = ['PATH', 'HOME', 'USER', 'LOGNAME', 'SHELL', 'LANG', 'LC_ALL', 'LC_CTYPE', 'TERM', 'TZ', 'TMPDIR'];
+
+  // 서버 환경변수 중 명령에 전달해도 되는 것만 선택
+  function inheritedEnv(inherit = true) {
+    const env = {};
+    for (const [key, value] of Object.entries(baseEnv)) {
+      if (!inherit) {
+        if (BASE_ENV_VARS.includes(key)) {
+          env[key] = value;
+        }
+        continue;
+      }
+      if (ENV_ALLOW.length > 0 && !ENV_ALLOW.some((pattern) => pattern.test(key)) && !BASE_ENV_VARS.includes(key)) {
+        continue;
+      }
+      if (ENV_DENY.some((pattern) => pattern.test(key))) {
+        continue;
+      }
+      env[key] = value;
+    }
+    return env;
+  }
+
+  // dotenv 형식 파싱 (KEY=VALUE, export 접두사, 따옴표, # 주석)
+  function parseDotenv(text) {
+    const env = {};
+    for (const rawLine of text.split(/\r?\n/)) {
+      const line = rawLine.trim();
+      if (!line || line.startsWith('#')) {
+        continue;
+      }
+      const match = line.match(/^(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/);
+      if (!match) {
+        throw new Error(`Invalid line in env file: ${rawLine}`);
+      }
+      let value = match[2];
+      if (/^"(.*)"$/.test(value)) {
+        value = value.slice(1, -1).replace(/\\n/g, '\n').replace(/\\(["\\$])/g, '$1');
+      } else if (/^'(.*)'$/.test(value)) {
+        value = value.slice(1, -1);
+      } else {
+        value = value.replace(/\s+#.*$/, '');
+      }
+      env[match[1]] = value;
+    }
+    return env;
+  }
+
+  // 명령 실행 환경 구성: 상속 변수 -> env_file -> env 순서로 덮어씀 (env 값이 null이면 변수 제거)
+  function buildCommandEnv({ env, env_file, inherit_env = true, cwd } = {}) {
+    const result = inheritedEnv(inherit_env);
+    if (env_file) {
+      const filePath = resolve(cwd || process.cwd(), env_file);
+      let text;
+      try {
+        text = readFileSync(filePath, 'utf8');
+      } catch (error) {
+        throw new Error(`Failed to read env file ${filePath}: ${error.message}`);
+      }
+      Object.assign(result, parseDotenv(text));
+    }
+    for (const [key, value] of Object.entries(env || {})) {
+      if (value === null) {
+        delete result[key];
+      } else {
+        result[key] = String(value);
+      }
+    }
+    return result;
+  }
+
+  // 서버 기본값과 호출별 제한 병합 (숫자로 정규화, 미지정 항목 제외)
+  function resolveLimits(limits = {}) {
+    const merged = { ...DEFAULT_LIMITS, ...limits };
+    const resolved = {};
+    for (const key of ['cpu_seconds', 'memory_mb', 'file_size_mb', 'max_processes', 'nice']) {
+      if (merged[key] !== undefined && merged[key] !== null && merged[key] !== '') {
+        const value = Number(merged[key]);
+        if (!Number.isFinite(value)) {
+          throw new Error(`Invalid resource limit ${key}: ${merged[key]}`);
+        }
+        resolved[key] = value;
+      }
+    }
+    if (merged.cgroup) {
+      resolved.cgroup = true;
+    }
+    return resolved;
+  }
+
+  // 리소스 제한을 적용하도록 명령 감싸기
+  // prlimit(util-linux)로 setrlimit 적용, nice로 우선순위 조정, 가능하면 systemd-run으로 cgroup v2 scope 생성
+  function applyResourceLimits(command, limits, shell = resolveShell('sh')) {
+    const applied = {};
+    const warnings = [];
+    const rlimits = [];
+
+    if (limits.cpu_seconds !== undefined) {
+      // soft 한도에서 SIGXCPU를 받도록 hard 한도는 1초 더 길게 설정
+      const cpu = Math.ceil(limits.cpu_seconds);
+      rlimits.push(`--cpu=${cpu}:${cpu + 1}`);
+    }
+    if (limits.memory_mb !== undefined) {
+      rlimits.push(`--as=${Math.floor(limits.memory_mb * 1024 * 1024)}`);
+    }
+    if (limits.file_size_mb !== undefined) {
+      rlimits.push(`--fsize=${Math.floor(limits.file_size_mb * 1024 * 1024)}`);
+    }
+    if (limits.max_processes !== undefined) {
+      rlimits.push(`--nproc=${Math.floor(limits.max_processes)}`);
+    }
+
+    if (rlimits.length === 0 && limits.nice === undefined && !limits.cgroup) {
+      return { command, shell, applied: null, warnings };
+    }
+
+    if (process.platform !== 'linux') {
+      throw new Error('Resource limits are only supported on Linux');
+    }
+
+    let wrapped = [shell.path, ...shell.args].map(shellQuote).join(' ') + ` ${shellQuote(command)}`;
+
+    if (limits.nice !== undefined) {
+      wrapped = `nice -n ${Math.trunc(limits.nice)} ${wrapped}`;
+      applied.nice = Math.trunc(limits.nice);
+    }
+
+    if (rlimits.length > 0) {
+      if (!findExecutable('prlimit')) {
+        throw new Error('Resource limits require prlimit (util-linux), which was not found in PATH');
+      }
+      wrapped = `prlimit ${rlimits.join(' ')} -- ${wrapped}`;
+      for (const key of ['cpu_seconds', 'memory_mb', 'file_size_mb', 'max_processes']) {
+        if (limits[key] !== undefined) {
+          applied[key] = limits[key];
+        }
+      }
+    }
+
+    // cgroup v2 scope: 주소 공간이 아닌 실제 메모리 사용량과 작업 수를 제한
+    if (limits.cgroup) {
+      if (findExecutable('systemd-run') && existsCgroupV2()) {
+        const properties = [];
+        if (limits.memory_mb !== undefined) {
+          properties.push(`-p MemoryMax=${Math.floor(limits.memory_mb)}M`, '-p MemorySwapMax=0');
+        }
+        if (limits.max_processes !== undefined) {
+          properties.push(`-p TasksMax=${Math.floor(limits.max_processes)}`);
+        }
+        wrapped = `systemd-run --user --scope --quiet --collect ${properties.join(' ')} ${wrapped}`;
+        applied.cgroup = true;
+      } else {
+        warnings.push('cgroup v2 scope is not available (requires systemd-run and a cgroup v2 hierarchy), only rlimits were applied');
+      }
+    }
+
+    // 래퍼 명령은 /bin/sh로 실행하고 실제 명령은 선택한 셸로 실행
+    return { command: wrapped, shell: resolveShell('sh'), applied, warnings };
+  }
+
+  function existsCgroupV2() {
+    try {
+      accessSync('/sys/fs/cgroup/cgroup.controllers', constants.R_OK);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // 종료 상태와 stderr로 리소스 제한에 의한 종료 여부 추정
+  function detectLimitExceeded(applied, { code, signal, stderr = '' }) {
+    if (!applied) {
+      return null;
+    }
+    // 중간 쉘이 exec하지 않은 경우 128 + 시그널 번호로 전달됨
+    const signalName = signal || (typeof code === 'number' && code > 128
+      ? Object.keys(osConstants.signals).find((key) => osConstants.signals[key] === code - 128)
+      : null);
+
+    if (applied.cpu_seconds !== undefined && signalName === 'SIGXCPU') {
+      return { limit: 'cpu_seconds', value: applied.cpu_seconds, message: `CPU time limit of ${applied.cpu_seconds}s exceeded` };
+    }
+    if (applied.file_size_mb !== undefined && (signalName === 'SIGXFSZ' || /File too large/i.test(stderr))) {
+      return { limit: 'file_size_mb', value: applied.file_size_mb, message: `File size limit of ${applied.file_size_mb}MB exceeded` };
+    }
+    if (applied.memory_mb !== undefined && ((applied.cgroup && signalName === 'SIGKILL') || /Cannot allocate memory|out of memory|MemoryError|bad_alloc|allocation failed|heap out of memory/i.test(stderr))) {
+      return { limit: 'memory_mb', value: applied.memory_mb, message: `Memory limit of ${applied.memory_mb}MB exceeded` };
+    }
+    if (applied.max_processes !== undefined && /fork: (Resource temporarily unavailable|retry)|Cannot fork|can't fork/i.test(stderr)) {
+      return { limit: 'max_processes', value: applied.max_processes, message: `Process limit of ${applied.max_processes} exceeded` };
+    }
+    return null;
+  }
+
+  // 쉘 단일 인용 처리
+  function shellQuote(value) {
+    return `'${String(value).replace(/'/g, `'\\''`)}'`;
+  }
+
+  // JSON 또는 YAML 설정 파일 읽기 (확장자로 형식 판단)
+  function loadConfigFile(filePath) {
+    const text = readFileSync(filePath, 'utf8');
+    const ext = extname(filePath).toLowerCase();
+    if (ext === '.yaml' || ext === '.yml') {
+      return YAML.parse(text) || {};
+    }
+    return JSON.parse(text);
+  }
+
+  // 명령 위치에 오지만 프로그램이 아닌 셸 예약어
+  const SHELL_KEYWORDS = new Set(['if', 'then', 'else', 'elif', 'fi', 'while', 'until', 'do', 'done', 'esac', '{', '}', '!', 'time']);
+
+  // 뒤따르는 단어가 명령이 아닌 예약어 (for 변수 in 목록, case 단어 in, function 이름)
+  const SHELL_HEADER_KEYWORDS = new Set(['for', 'select', 'case', 'function']);
+
+  // 다른 명령을 실행하는 래퍼와 값을 따로 받는 옵션
+  const COMMAND_WRAPPERS = {
+    env: ['-u', '--unset', '-C', '--chdir'],
+    command: [],
+    exec: ['-a'],
+    nice: ['-n', '--adjustment'],
+    sudo: ['-u', '--user', '-g', '--group', '-C', '--close-from', '-h', '--host', '-p', '--prompt', '-r', '--role', '-t', '--type', '-D', '--chdir', '-U', '--other-user', '-T', '--command-timeout'],
+    xargs: ['-I', '-n', '--max-args', '-L', '--max-lines', '-P', '--max-procs', '-d', '--delimiter', '-E', '-s', '--max-chars', '-a', '--arg-file'],
+  };
+
+  // 명령 문자열을 파이프/연산자 단위의 {program, args} 목록으로 분해
+  // $(...) 및 `...` 내부 명령도 별도 세그먼트로 추가
+  function parseCommand(command) {
+    const segments = [];
+    let words = [];
+    let current = '';
+    let hasWord = false;
+    // 리디렉션 대상(> file)은 인자가 아니므로 다음 단어를 버림
+    let dropNextWord = false;
+
+    const pushWord = () => {
+      if (hasWord && !dropNextWord) {
+        words.push(current);
+      }
+      if (hasWord) {
+        dropNextWord = false;
+      }
+      current = '';
+      hasWord = false;
+    };
+
+    const pushSegment = () => {
+      pushWord();
+      dropNextWord = false;
+      let rest = words;
+      words = [];
+
+      while (rest.length > 0) {
+        // 앞쪽의 변수 할당(FOO=bar cmd)과 셸 예약어(if, then, do, {, !, time 등) 제외
+        while (rest.length > 0 && (/^[A-Za-z_][A-Za-z0-9_]*=/.test(rest[0]) || SHELL_KEYWORDS.has(rest[0]))) {
+          rest = rest.slice(rest[0] === 'time' && rest[1] === '-p' ? 2 : 1);
+        }
+        // for/select/case/function의 머리(변수 이름, 단어 목록, 함수 이름)는 명령이 아님
+        if (rest.length === 0 || SHELL_HEADER_KEYWORDS.has(rest[0])) {
+          return;
+        }
+        segments.push({ program: rest[0], args: rest.slice(1) });
+
+        // 래퍼(env, sudo, xargs 등)가 실행하는 명령도 별도 세그먼트로 평가
+        const wrapper = basename(rest[0]);
+        const optionsWithValue = COMMAND_WRAPPERS[wrapper];
+        if (!optionsWithValue) {
+          return;
+        }
+        let j = 1;
+        while (j < rest.length) {
+          const word = rest[j];
+          if (word === '--') {
+            j++;
+            break;
+          }
+          if (wrapper === 'env' && /^[A-Za-z_][A-Za-z0-9_]*=/.test(word)) {
+            j++;
+          } else if (wrapper === 'env' && (word === '-S' || word === '--split-string') && j + 1 < rest.length) {
+            // env -S 'cmd args': 문자열 자체가 실행할 명령
+            rest = [...rest.slice(0, j), ...rest[j + 1].split(/\s+/).filter(Boolean), ...rest.slice(j + 2)];
+            break;
+          } else if (word.startsWith('-')) {
+            j += optionsWithValue.includes(word) ? 2 : 1;
+          } else {
+            break;
+          }
+        }
+        rest = rest.slice(j);
+      }
+    };
+
+    // 여는 괄호 위치에서 짝이 맞는 닫는 위치 찾기
+    const findClosing = (start, open, close) => {
+      let depth = 0;
+      for (let j = start; j < command.length; j++) {
+        if (command[j] === '\\') {
+          j++;
+        } else if (command[j] === open && open !== close) {
+          depth++;
+        } else if (command[j] === close) {
+          if (open === close || --depth === 0) {
+            return j;
+          }
+        }
+      }
+      return command.length;
+    };
+
+    let i = 0;
+    while (i < command.length) {
+      const ch = command[i];
+
+      if (ch === '\\') {
+        if (command[i + 1] !== '\n') {
+          current += command[i + 1] || '';
+          hasWord = true;
+        }
+        i += 2;
+      } else if (ch === "'") {
+        const end = command.indexOf("'", i + 1);
+        const stop = end === -1 ? command.length : end;
+        current += command.substring(i + 1, stop);
+        hasWord = true;
+        i = stop + 1;
+      } else if (ch === '"') {
+        i++;
+        while (i < command.length && command[i] !== '"') {
+          if (command[i] === '\\' && i + 1 < command.length) {
+            current += command[i + 1];
+            i += 2;
+          } else if (command[i] === '$' && command[i + 1] === '(') {
+            const end = findClosing(i + 1, '(', ')');
+            segments.push(...parseCommand(command.substring(i + 2, end)));
+            current += command.substring(i, end + 1);
+            i = end + 1;
+          } else if (command[i] === '`') {
+            const end = findClosing(i + 1, '`', '`');
+            segments.push(...parseCommand(command.substring(i + 1, end)));
+            current += command.substring(i, end + 1);
+            i = end + 1;
+          } else {
+            current += command[i];
+            i++;
+          }
+        }
+        hasWord = true;
+        i++;
+      } else if (ch === '$' && command[i + 1] === '(') {
+        const end = findClosing(i + 1, '(', ')');
+        segments.push(...parseCommand(command.substring(i + 2, end)));
+        current += command.substring(i, end + 1);
+        hasWord = true;
+        i = end + 1;
+      } else if (ch === '`') {
+        const end = findClosing(i + 1, '`', '`');
+        segments.push(...parseCommand(command.substring(i + 1, end)));
+        current += command.substring(i, end + 1);
+        hasWord = true;
+        i = end + 1;
+      } else if (ch === '#' && !hasWord) {
+        // 주석은 줄 끝까지 무시
+        const end = command.indexOf('\n', i);
+        i = end === -1 ? command.length : end;
+      } else if ((ch === '<' || ch === '>') && command[i + 1] === '(') {
+        // 프로세스 치환 <(cmd), >(cmd)
+        const end = findClosing(i + 1, '(', ')');
+        segments.push(...parseCommand(command.substring(i + 2, end)));
+        current += command.substring(i, end + 1);
+        hasWord = true;
+        i = end + 1;
+      } else if (ch === '<' || ch === '>' || (ch === '&' && command[i + 1] === '>')) {
+        // 리디렉션(<, >, >>, &>, 2>, 2>&1, <<<)은 단어 경계이며 대상은 인자에서 제외
+        // 바로 앞의 숫자는 파일 디스크립터 번호
+        if (/^\d+$/.test(current)) {
+          current = '';
+          hasWord = false;
+        }
+        pushWord();
+        const operator = command.substring(i).match(/^(?:&>>?|<<<|<<-?|<>|[<>]&|>>|>\||[<>])/)[0];
+        i += operator.length;
+        dropNextWord = true;
+      } else if (/[;&|\n()]/.test(ch)) {
+        pushSegment();
+        i++;
+      } else if (/\s/.test(ch)) {
+        pushWord();
+        i++;
+      } else {
+        current += ch;
+        hasWord = true;
+        i++;
+      }
+    }
+    pushSegment();
+
+    return segments;
+  }
+
+  // 정책 규칙 정규화 (정규식 컴파일 및 배열 변환)
+  function compileRule(rule, index) {
+    const toArray = (value) => (value === undefined ? null : Array.isArray(value) ? value : [value]);
+    const action = rule.action || 'deny';
+    if (action !== 'allow' && action !== 'deny') {
+      throw new Error(`Invalid action '${action}' in policy rule ${rule.id || index}`);
+    }
+
+    return {
+      id: rule.id || `rule-${index + 1}`,
+      action,
+      description: rule.description,
+      tools: toArray(rule.tools),
+      programs: toArray(rule.program),
+      args: toArray(rule.args),
+      argsPattern: rule.argsPattern ? new RegExp(rule.argsPattern) : null,
+      pattern: rule.pattern ? new RegExp(rule.pattern) : null,
+      cwd: toArray(rule.cwd)?.map((prefix) => resolve(prefix)),
+    };
+  }
+
+  // 정책 파일 읽기
+  function loadPolicy(filePath) {
+    const config = loadConfigFile(filePath);
+    const defaultAction = config.defaultAction || 'allow';
+    if (defaultAction !== 'allow' && defaultAction !== 'deny') {
+      throw new Error(`Invalid defaultAction '${defaultAction}' in policy file`);
+    }
+
+    return {
+      filePath,
+      defaultAction,
+      rules: (config.rules || []).map(compileRule),
+    };
+  }
+
+  // 명령 실행 정책 (옵션이나 환경변수로 지정된 파일에서 로드, 로드 실패 시 서버 생성 실패)
+  let policy = null;
+  const policyFile = options.policyFile || settings.BASH_MCP_POLICY_FILE;
+  if (policyFile) {
+    try {
+      policy = loadPolicy(policyFile);
+    } catch (error) {
+      throw new Error(`Failed to load BASH_MCP_POLICY_FILE: ${policyFile}: ${error.message}`);
+    }
+    console.error(`Loaded command policy from ${policyFile} (${policy.rules.length} rules, default: ${policy.defaultAction})`);
+  }
+
+  // 규칙의 명령 단위 조건(tool, pattern, cwd) 확인
+  function matchesCommandConditions(rule, context) {
+    if (rule.tools && !rule.tools.includes(context.tool)) {
+      return false;
+    }
+    if (rule.pattern && !rule.pattern.test(context.command)) {
+      return false;
+    }
+    if (rule.cwd && !rule.cwd.some((prefix) => context.cwd === prefix || context.cwd.startsWith(prefix.endsWith(sep) ? prefix : prefix + sep))) {
+      return false;
+    }
+    return true;
+  }
+
+  // 규칙의 세그먼트 단위 조건(program, args, argsPattern) 확인
+  function matchesSegment(rule, segment) {
+    if (rule.programs && !rule.programs.some((program) => program === segment.program || program === basename(segment.program))) {
+      return false;
+    }
+    if (rule.args && !rule.args.every((arg) => segment.args.includes(arg))) {
+      return false;
+    }
+    if (rule.argsPattern && !rule.argsPattern.test(segment.args.join(' '))) {
+      return false;
+    }
+    return true;
+  }
+
+  function hasSegmentConditions(rule) {
+    return !!(rule.programs || rule.args || rule.argsPattern);
+  }
+
+  // 명령 정책 평가
+  // deny 규칙이 하나라도 일치하면 거부, 기본 동작이 deny이면 모든 세그먼트가 allow 규칙과 일치해야 허용
+  function evaluatePolicy(tool, command, cwd) {
+    if (!policy) {
+      return { allowed: true };
+    }
+
+    const context = { tool, command, cwd: resolve(cwd || process.cwd()) };
+    const segments = parseCommand(command);
+
+    for (const rule of policy.rules) {
+      if (rule.action !== 'deny' || !matchesCommandConditions(rule, context)) {
+        continue;
+      }
+      if (!hasSegmentConditions(rule) || segments.some((segment) => matchesSegment(rule, segment))) {
+        return { allowed: false, rule: rule.id, reason: rule.description };
+      }
+    }
+
+    if (policy.defaultAction === 'allow') {
+      return { allowed: true };
+    }
+
+    const allowRules = policy.rules.filter((rule) => rule.action === 'allow' && matchesCommandConditions(rule, context));
+    if (segments.length === 0) {
+      return allowRules.length > 0 ? { allowed: true } : { allowed: false, rule: 'default' };
+    }
+    for (const segment of segments) {
+      if (!allowRules.some((rule) => matchesSegment(rule, segment))) {
+        return { allowed: false, rule: 'default', reason: `Program '${segment.program}' is not allowed` };
+      }
+    }
+    return { allowed: true };
+  }
+
+  // 정책 거부 응답 생성 (감사 로그에도 기록)
+  function policyDeniedResponse(decision, command, tool, cwd) {
+    return formatResponse(policyDeniedData(decision, command, tool, cwd), 'policy-denied', { structured: true });
+  }
+
+  // auditFields: 감사 로그 항목에 추가할 필드 (run_script의 script 등)
+  function policyDeniedData(decision, command, tool, cwd, auditFields = {}) {
+    const reason = decision.reason ? `: ${decision.reason}` : '';
+    recordAudit({ tool, command, ...auditFields, cwd: resolve(cwd || process.cwd()), success: false, denied: true, rule: decision.rule });
+    return {
+      success: false,
+      error: `Command denied by policy rule '${decision.rule}'${reason}`,
+      rule: decision.rule,
+      stdout: "",
+      stderr: "",
+      command
+    };
+  }
+
+  // ===== 작업 루트와 샌드박스 =====
+
+  // 연결(서버 인스턴스)별 클라이언트 roots 캐시 (roots/list_changed 알림 시 삭제)
+  const clientRootsCache = new WeakMap();
+
+  // 현재 요청을 보낸 클라이언트의 roots (roots 기능을 지원하지 않으면 빈 목록)
+  async function getClientRoots() {
+    const context = requestContext.getStore();
+    if (!context) {
+      return [];
+    }
+    const { server } = context;
+    if (!server.getClientCapabilities()?.roots) {
+      return [];
+    }
+    if (!clientRootsCache.has(server)) {
+      clientRootsCache.set(server, server.listRoots(undefined, { timeout: 5000 }).then(
+        ({ roots }) => roots
+          .filter((root) => root.uri.startsWith('file://'))
+          .map((root) => fileURLToPath(root.uri)),
+        (error) => {
+          console.error('Failed to list client roots:', error.message);
+          clientRootsCache.delete(server);
+          return [];
+        }
+      ));
+    }
+    return clientRootsCache.get(server);
+  }
+
+  // 설정된 루트와 클라이언트 roots를 실제 경로로 변환 (존재하지 않는 경로는 제외)
+  async function getAllowedRoots() {
+    const roots = [];
+    for (const root of [...STATIC_ROOTS, ...await getClientRoots()]) {
+      try {
+        const real = await realpath(root);
+        if (!roots.includes(real)) {
+          roots.push(real);
+        }
+      } catch (error) {
+        // 존재하지 않는 루트는 무시
+      }
+    }
+    return roots;
+  }
+
+  function isWithinRoot(path, root) {
+    return path === root || path.startsWith(root.endsWith(sep) ? root : root + sep);
+  }
+
+  // cwd가 허용된 루트 안에 있는지 확인 (루트가 없으면 제한 없음)
+  // cwd를 지정하지 않으면 서버 작업 디렉토리, 그것이 루트 밖이면 첫 번째 루트를 사용
+  // roots를 넘기면 현재 요청의 루트 대신 사용 (예약 작업은 등록할 때의 루트로 실행)
+  async function checkRoots(cwd, roots = null) {
+    roots = roots || await getAllowedRoots();
+    if (roots.length === 0) {
+      return { allowed: true, cwd, roots };
+    }
+
+    let target = resolve(cwd || process.cwd());
+    try {
+      target = await realpath(target);
+    } catch (error) {
+      // 존재하지 않는 경로는 그대로 비교 (실행 시 오류로 처리됨)
+    }
+    if (roots.some((root) => isWithinRoot(target, root))) {
+      return { allowed: true, cwd: cwd || target, roots };
+    }
+    if (!cwd) {
+      return { allowed: true, cwd: roots[0], roots };
+    }
+    return { allowed: false, cwd: target, roots };
+  }
+
+  function rootsRejectedResponse(check, command, tool) {
+    return formatResponse(rootsRejectedData(check, command, tool), 'roots-rejected', { structured: true });
+  }
+
+  function rootsRejectedData(check, command, tool, auditFields = {}) {
+    recordAudit({ tool, command, ...auditFields, cwd: check.cwd, success: false, rejected: true, roots: check.roots });
+    return {
+      success: false,
+      error: `Working directory '${check.cwd}' is outside the allowed roots: ${check.roots.join(', ')}`,
+      rejected: true,
+      roots: check.roots,
+      stdout: "",
+      stderr: "",
+      command
+    };
+  }
+
+  // 샌드박스 실행 명령 앞부분 (argv 배열)
+  // 루트는 읽기/쓰기, 나머지 파일 시스템은 읽기 전용, /tmp는 별도 tmpfs, 필요하면 네트워크 차단
+  function buildSandbox(roots, cwd, { readOnlyPaths = [] } = {}) {
+    if (SANDBOX === 'off') {
+      return null;
+    }
+    const network = SANDBOX_NETWORK;
+    const workdir = resolve(cwd || process.cwd());
+
+    if ((SANDBOX === 'auto' || SANDBOX === 'bwrap') && findExecutable('bwrap')) {
+      const argv = [findExecutable('bwrap'), '--ro-bind', '/', '/', '--dev', '/dev', '--proc', '/proc', '--tmpfs', '/tmp'];
+      for (const root of roots) {
+        argv.push('--bind', root, root);
+      }
+      for (const path of readOnlyPaths) {
+        argv.push('--ro-bind', path, path);
+      }
+      if (!network) {
+        argv.push('--unshare-net');
+      }
+      argv.push('--die-with-parent', '--chdir', workdir, '--');
+      return { type: 'bwrap', argv, info: { type: 'bwrap', network, writable: roots } };
+    }
+
+    if ((SANDBOX === 'auto' || SANDBOX === 'unshare') && findExecutable('unshare') && process.platform === 'linux') {
+      // 사용자 네임스페이스 안에서 루트를 자기 자신에 bind mount한 뒤 / 를 읽기 전용으로 다시 마운트
+      // 루트나 읽어야 하는 경로가 /tmp 아래에 있으면 tmpfs로 가려지므로 이 경우 /tmp는 읽기 전용으로 둠
+      const script = [
+        'set -e',
+        ...roots.map((root) => `mount --bind ${shellQuote(root)} ${shellQuote(root)}`),
+        'mount -o remount,bind,ro /',
+        [...roots, ...readOnlyPaths].some((path) => isWithinRoot(path, '/tmp')) ? null : 'mount -t tmpfs tmpfs /tmp',
+        `cd ${shellQuote(workdir)}`,
+        'exec "$@"',
+      ].filter(Boolean).join('\n');
+      const argv = [findExecutable('unshare'), '--mount', '--map-root-user', '--propagation', 'private'];
+      if (!network) {
+        argv.push('--net');
+      }
+      argv.push('/bin/sh', '-c', script, 'bash-mcp-sandbox');
+      return { type: 'unshare', argv, info: { type: 'unshare', network, writable: roots } };
+    }
+
+    throw new Error(`Sandbox mode '${SANDBOX}' is enabled but ${SANDBOX === 'auto' ? 'neither bwrap nor unshare' : SANDBOX} is available`);
+  }
+
+  // 명령 문자열을 샌드박스 안에서 선택한 셸로 실행하도록 감쌈 (래퍼는 /bin/sh로 실행)
+  function applySandbox(command, shell, sandbox) {
+    if (!sandbox) {
+      return { command, shell };
+    }
+    const wrapped = [...sandbox.argv, shell.path, ...shell.args, command].map(shellQuote).join(' ');
+    return { command: wrapped, shell: resolveShell('sh') };
+  }
+
+  // 세션 저장소 (세션 이름 -> 세션 정보)
+  const sessions = new Map();
+
+  // 세션 출력 버퍼 최대 크기 (run의 maxBuffer와 동일)
+  const SESSION_MAX_BUFFER = 10 * 1024 * 1024;
+
+  let sessionCounter = 0;
+
+  // 영구 쉘 세션 시작
+  // 쉘이 실제로 시작된 뒤에 반환 (spawn 실패는 비동기 'error' 이벤트로 전달되므로 대기)
+  async function startSession(name, cwd, sandbox = null) {
+    // 시간 초과 시 실행 중인 자식 프로세스까지 종료할 수 있도록 별도 프로세스 그룹으로 실행
+    const argv = [...(sandbox ? sandbox.argv : []), "bash", "--noprofile", "--norc"];
+    const shell = spawn(argv[0], argv.slice(1), {
+      cwd,
+      env: inheritedEnv(),
+      detached: true,
+      stdio: ["pipe", "pipe", "pipe"],
+    });
+
+    const session = {
+      name,
+      shell,
+      pid: shell.pid,
+      cwd: cwd || process.cwd(),
+      sandbox: sandbox ? sandbox.info : undefined,
+      startTime: new Date().toISOString(),
+      commandCount: 0,
+      pending: null,
+      queue: Promise.resolve(),
+      closed: false,
+    };
+
+    shell.stdout.on("data", (data) => {
+      if (session.pending) {
+        session.pending.stdout += data.toString();
+        checkSessionCommand(session);
+      }
+    });
+
+    shell.stderr.on("data", (data) => {
+      if (session.pending) {
+        session.pending.stderr += data.toString();
+        checkSessionCommand(session);
+      }
+    });
+
+    shell.on("exit", (code, signal) => {
+      session.closed = true;
+      session.exitCode = code;
+      session.exitSignal = signal;
+      sessions.delete(name);
+
+      // 실행 중인 명령이 쉘을 종료한 경우 (예: exit) 현재까지의 출력으로 완료 처리
+      if (session.pending) {
+        const pending = session.pending;
+        session.pending = null;
+        clearTimeout(pending.timer);
+        pending.resolve({
+          stdout: pending.stdout,
+          stderr: pending.stderr,
+          exitCode: code,
+          signal,
+          sessionClosed: true,
+          timedOut: pending.timedOut,
+          bufferExceeded: !!pending.bufferExceeded,
+        });
+      }
+    });
+
+    shell.on("error", (error) => {
+      session.error = error.message;
+      session.closed = true;
+      sessions.delete(name);
+    });
+
+    // stdin 쓰기 실패(쉘 종료 후 쓰기 등)는 exit 핸들러에서 처리
+    shell.stdin.on("error", () => {});
+
+    // 시작을 기다리는 동안 같은 이름이 다시 쓰이지 않도록 먼저 등록 (실패 시 error 핸들러가 제거)
+    sessions.set(name, session);
+    await new Promise((resolve, reject) => {
+      shell.once("spawn", resolve);
+      shell.once("error", reject);
+    });
+    return session;
+  }
+
+  // 세션 쉘과 그 자식 프로세스 전체 종료
+  function killSession(session, signal = "SIGKILL") {
+    try {
+      process.kill(-session.pid, signal);
+    } catch (e) {
+      try {
+        session.shell.kill(signal);
+      } catch (killError) {
+        // 이미 종료된 경우 무시
+      }
+    }
+  }
+
+  // 세션 쉘은 유지하고 실행 중인 명령의 자식 프로세스만 종료
+  // 종료할 자식 프로세스가 없거나(쉘 내장 명령 루프 등) 곧 끝나지 않으면 세션 종료
+  async function interruptSession(session) {
+    const pending = session.pending;
+    const pids = (await collectProcessTree(session.pid)).slice(1);
+    if (pids.length === 0) {
+      killSession(session);
+      return;
+    }
+    await Promise.all(pids.map((pid) => terminateProcessTree(pid, { gracePeriod: 1000 })));
+    setTimeout(() => {
+      if (session.pending === pending) {
+        killSession(session);
+      }
+    }, 2000);
+  }
+
+  // 대기 중인 세션 명령의 종료 마커 확인
+  function checkSessionCommand(session) {
+    const pending = session.pending;
+    if (!pending) {
+      return;
+    }
+
+    if (pending.stdout.length > SESSION_MAX_BUFFER || pending.stderr.length > SESSION_MAX_BUFFER) {
+      pending.bufferExceeded = true;
+      killSession(session);
+      return;
+    }
+
+    const stdoutMatch = findStdoutMarker(pending);
+    const stderrIndex = findStderrMarker(pending);
+    if (!stdoutMatch || stderrIndex === -1) {
+      return;
+    }
+
+    session.pending = null;
+    session.cwd = stdoutMatch[2];
+    clearTimeout(pending.timer);
+    pending.resolve({
+      stdout: pending.stdout.substring(0, stdoutMatch.index),
+      stderr: pending.stderr.substring(0, stderrIndex),
+      exitCode: parseInt(stdoutMatch[1], 10),
+      signal: null,
+      sessionClosed: false,
+      timedOut: false,
+    });
+  }
+
+  // 종료 마커 검색은 이전에 확인한 위치 이후만 수행 (청크 경계에 걸친 마커를 위해 마커 길이만큼 앞에서 시작)
+  // 큰 출력에서 청크마다 버퍼 전체를 다시 검사하지 않도록 검사한 위치를 pending에 기록
+  function findStdoutMarker(pending) {
+    const text = pending.stdout;
+    for (;;) {
+      if (pending.stdoutMarkerIndex === -1) {
+        const index = text.indexOf(pending.stdoutPrefix, Math.max(0, pending.stdoutScanned - pending.stdoutPrefix.length + 1));
+        if (index === -1) {
+          pending.stdoutScanned = text.length;
+          return null;
+        }
+        pending.stdoutMarkerIndex = index;
+      }
+      pending.stdoutMarker.lastIndex = pending.stdoutMarkerIndex;
+      const match = pending.stdoutMarker.exec(text);
+      if (match) {
+        return match;
+      }
+      // 마커 줄이 아직 다 오지 않았으면 대기하고, 형식이 맞지 않는 줄이면 그 뒤부터 다시 검색
+      const lineEnd = text.indexOf('\n', pending.stdoutMarkerIndex);
+      if (lineEnd === -1) {
+        return null;
+      }
+      pending.stdoutMarkerIndex = -1;
+      pending.stdoutScanned = lineEnd + 1;
+    }
+  }
+
+  function findStderrMarker(pending) {
+    if (pending.stderrIndex === -1) {
+      pending.stderrIndex = pending.stderr.indexOf(pending.stderrMarker, Math.max(0, pending.stderrScanned - pending.stderrMarker.length + 1));
+      pending.stderrScanned = pending.stderr.length;
+    }
+    return pending.stderrIndex;
+  }
+
+  // 세션에서 명령 실행 (세션당 한 번에 하나씩 순차 실행)
+  function runInSession(session, command, timeout, signal) {
+    const run = () => new Promise((resolve) => {
+      if (session.closed) {
+        resolve({ stdout: "", stderr: "", exitCode: session.exitCode, signal: session.exitSignal, sessionClosed: true, timedOut: false });
+        return;
+      }
+      // 대기열에 있는 동안 취소된 경우 실행하지 않음
+      if (signal && signal.aborted) {
+        resolve({ stdout: "", stderr: "", exitCode: null, signal: null, sessionClosed: false, timedOut: false, cancelled: true });
+        return;
+      }
+
+      // 명령별 고유 마커로 stdout/stderr/종료 코드 구분
+      const token = `${process.pid}_${Date.now()}_${++sessionCounter}`;
+      const pending = {
+        stdout: "",
+        stderr: "",
+        stdoutPrefix: `__BASH_MCP_END_${token}_`,
+        stdoutMarker: new RegExp(`__BASH_MCP_END_${token}_(\\d+)__([^\\n]*)\\n`, 'y'),
+        stdoutScanned: 0,
+        stdoutMarkerIndex: -1,
+        stderrMarker: `__BASH_MCP_END_${token}__\n`,
+        stderrScanned: 0,
+        stderrIndex: -1,
+        timedOut: false,
+        resolve,
+      };
+
+      // 시간 초과 시 쉘 상태를 복구할 수 없으므로 세션을 종료
+      pending.timer = setTimeout(() => {
+        pending.timedOut = true;
+        killSession(session);
+      }, timeout);
+
+      // 요청 취소 시 실행 중인 명령만 중단하고 세션은 유지
+      if (signal) {
+        const onAbort = () => {
+          if (session.pending === pending) {
+            pending.cancelled = true;
+            interruptSession(session).catch(() => killSession(session));
+          }
+        };
+        signal.addEventListener("abort", onAbort, { once: true });
+        const originalResolve = pending.resolve;
+        pending.resolve = (result) => {
+          signal.removeEventListener("abort", onAbort);
+          originalResolve({ ...result, cancelled: !!pending.cancelled });
+        };
+      }
+
+      session.pending = pending;
+      session.commandCount++;
+
+      // eval로 감싸서 구문 오류가 있어도 마커 출력이 깨지지 않도록 하고,
+      // 명령이 세션 stdin(이후 명령)을 읽지 않도록 /dev/null 연결
+      const script = [
+        `eval ${shellQuote(command)} < /dev/null`,
+        `__bash_mcp_ec=$?`,
+        `printf '__BASH_MCP_END_${token}_%d__%s\\n' "$__bash_mcp_ec" "$PWD"`,
+        `printf '__BASH_MCP_END_${token}__\\n' >&2`,
+        "",
+      ].join("\n");
+      session.shell.stdin.write(script);
+    });
+
+    const result = session.queue.then(run);
+    session.queue = result.catch(() => {});
+    return result;
+  }
+
+  // 백그라운드 프로세스 로그 파일 생성 (stdout, stderr, 타임스탬프가 붙은 통합 로그)
+  function createBackgroundLog(processName) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const safeName = processName.replace(/[^A-Za-z0-9._-]/g, '_');
+    const base = join(OUTPUT_DIR, `bash-mcp-background-${safeName}-${timestamp}`);
+    const paths = {
+      stdout: `${base}-stdout.log`,
+      stderr: `${base}-stderr.log`,
+      interleaved: `${base}-interleaved.log`,
+    };
+
+    const streams = {};
+    for (const [key, filePath] of Object.entries(paths)) {
+      streams[key] = createWriteStream(filePath, { flags: 'a' });
+      streams[key].on('error', (error) => {
+        console.error(`Failed to write background log ${filePath}:`, error);
+      });
+    }
+    // 모든 파일이 닫히면 완료 (오류가 나도 스트림은 닫힘)
+    const finished = Promise.all(Object.values(streams).map((stream) => new Promise((resolve) => stream.on('close', resolve))));
+
+    // 비밀값이 청크 경계에서 잘리지 않도록 완성된 줄 단위로 가린 뒤 기록하고, 스트림별 미완성 줄 보관
+    const decoders = { stdout: new StringDecoder('utf8'), stderr: new StringDecoder('utf8') };
+    const partial = { stdout: '', stderr: '' };
+    const writeText = (stream, text) => {
+      if (!text) {
+        return;
+      }
+      const redacted = redactSecrets(text).text;
+      streams[stream].write(redacted);
+      const time = new Date().toISOString();
+      for (const line of redacted.replace(/\n$/, '').split('\n')) {
+        streams.interleaved.write(`[${time}] [${stream}] ${line}\n`);
+      }
+    };
+    const writeLines = (stream, text) => {
+      const pending = partial[stream] + text;
+      let end = pending.lastIndexOf('\n') + 1;
+      // 여러 줄에 걸친 개인 키는 끝 줄이 나올 때까지 보류
+      const keyStart = pending.lastIndexOf('-----BEGIN ', end);
+      if (REDACT_ENABLED && keyStart !== -1 && /^-----BEGIN [A-Z0-9 ]*PRIVATE KEY/.test(pending.slice(keyStart)) && !pending.includes('-----END ', keyStart)) {
+        end = Math.min(end, pending.lastIndexOf('\n', keyStart) + 1);
+      }
+      // 줄바꿈 없는 긴 출력(진행 표시 등)은 한도를 넘으면 그대로 기록
+      if (pending.length - end > BACKGROUND_LOG_LINE_LIMIT) {
+        end = pending.length;
+      }
+      writeText(stream, pending.slice(0, end));
+      partial[stream] = pending.slice(end);
+    };
+
+    return {
+      paths,
+      finished,
+      write(stream, data) {
+        writeLines(stream, decoders[stream].write(data));
+      },
+      close() {
+        for (const stream of ['stdout', 'stderr']) {
+          writeText(stream, partial[stream] + decoders[stream].end());
+          partial[stream] = '';
+        }
+        for (const stream of Object.values(streams)) {
+          stream.end();
+        }
+      },
+    };
+  }
+
+  // 백그라운드 프로세스 시작 및 출력 수집
+  // supervisor가 있으면 종료 시 재시작 정책과 상태 확인을 적용 (재시작 간에 같은 객체를 공유)
+  function startBackgroundProcess(processName, command, { cwd, stdin = false, limits, shell, env, env_file, inherit_env, sandbox, supervisor } = {}) {
+    const selectedShell = resolveShell(shell);
+    const sandboxed = applySandbox(command, selectedShell, sandbox);
+    const limited = applyResourceLimits(sandboxed.command, resolveLimits(limits), sandboxed.shell);
+    const commandEnv = buildCommandEnv({ env, env_file, inherit_env, cwd });
+
+    // 프로세스 트리 전체를 종료할 수 있도록 별도 프로세스 그룹으로 실행
+    const child = spawn(limited.shell.path, [...limited.shell.args, limited.command], {
+      cwd,
+      env: commandEnv,
+      detached: true,
+      stdio: [stdin ? "pipe" : "ignore", "pipe", "pipe"],
+    });
+
+    // 프로세스 종료 후 stdin 쓰기 오류(EPIPE 등)는 무시
+    if (child.stdin) {
+      child.stdin.on("error", () => {});
+    }
+
+    const log = createBackgroundLog(processName);
+
+    const processInfo = {
+      pid: child.pid,
+      command,
+      cwd: resolve(cwd || process.cwd()),
+      shell: selectedShell.name,
+      startTime: new Date().toISOString(),
+      output: [],
+      errors: [],
+      totalOutputSize: 0,
+      totalErrorSize: 0,
+      outputOverflow: false,
+      errorOverflow: false,
+      outputFilePath: log.paths.stdout,
+      errorFilePath: log.paths.stderr,
+      logFiles: log.paths,
+      limits: limited.applied,
+      sandbox: sandbox ? sandbox.info : undefined,
+      warnings: limited.warnings.length > 0 ? limited.warnings : undefined,
+      stdinOpen: !!child.stdin,
+      supervisor,
+      health: supervisor && supervisor.healthCheck ? { status: 'starting', consecutiveFailures: 0, lastCheck: null, lastError: null } : undefined,
+      // 출력 대기 중인 리스너 (expect_background 등)
+      outputListeners: new Set(),
+    };
+
+    const notifyListeners = (stream, data) => {
+      notifyBackgroundResources(processName, [stream, 'interleaved']);
+      for (const listener of processInfo.outputListeners) {
+        listener(stream, data.toString());
+      }
+    };
+
+    // 출력 수집 (전체 출력은 로그 파일에 계속 기록, 메모리에는 최근 청크만 유지)
+    child.stdout.on("data", (data) => {
+      log.write("stdout", data);
+      notifyListeners("stdout", data);
+      processInfo.output.push(data.toString());
+      processInfo.totalOutputSize += data.length;
+
+      if (processInfo.totalOutputSize > MAX_OUTPUT_SIZE) {
+        processInfo.outputOverflow = true;
+      }
+
+      // 메모리 관리를 위해 100개 청크로 제한
+      if (processInfo.output.length > 100) {
+        processInfo.output.shift();
+      }
+    });
+
+    child.stderr.on("data", (data) => {
+      log.write("stderr", data);
+      notifyListeners("stderr", data);
+      processInfo.errors.push(data.toString());
+      processInfo.totalErrorSize += data.length;
+
+      if (processInfo.totalErrorSize > MAX_OUTPUT_SIZE) {
+        processInfo.errorOverflow = true;
+      }
+
+      // 메모리 관리를 위해 100개 청크로 제한
+      if (processInfo.errors.length > 100) {
+        processInfo.errors.shift();
+      }
+    });
+
+    // 종료된 프로세스는 기록으로 남겨 두고 보관 한도를 넘은 기록만 정리
+    child.on("exit", (code, signal) => {
+      processInfo.exitCode = code;
+      processInfo.exitSignal = signal;
+      processInfo.endTime = new Date().toISOString();
+      processInfo.limitExceeded = detectLimitExceeded(limited.applied, { code, signal, stderr: processInfo.errors.join("") });
+      if (supervisor) {
+        handleSupervisedExit(processName, entry);
+      }
+      pruneBackgroundHistory();
+
+      auditCommand("run_background", {
+        command,
+        cwd,
+        startedAt: new Date(processInfo.startTime).getTime(),
+        event: "exit",
+        name: processName,
+        pid: processInfo.pid,
+        success: code === 0,
+        exitCode: code,
+        signal,
+        limitExceeded: processInfo.limitExceeded,
+        stdoutSize: processInfo.totalOutputSize,
+        stderrSize: processInfo.totalErrorSize,
+        logFiles: processInfo.logFiles,
+      });
+      runAfterExecute({ tool: "run_background", command, cwd, result: describeBackgroundProcess(processName, processInfo) });
+    });
+
+    // 파이프가 모두 닫힌 뒤 로그 파일 마무리
+    child.on("close", () => {
+      processInfo.closed = true;
+      processInfo.stdinOpen = false;
+      log.close();
+      notifyBackgroundResources(processName, ['stdout', 'stderr', 'interleaved']);
+      for (const listener of processInfo.outputListeners) {
+        listener("exit", "");
+      }
+    });
+
+    child.on("error", (error) => {
+      processInfo.error = error.message;
+      if (!processInfo.endTime) {
+        processInfo.endTime = new Date().toISOString();
+        if (supervisor) {
+          handleSupervisedExit(processName, entry);
+        }
+      }
+      if (!processInfo.closed) {
+        processInfo.closed = true;
+        log.close();
+        for (const listener of processInfo.outputListeners) {
+          listener("exit", "");
+        }
+      }
+      pruneBackgroundHistory();
+    });
+
+    const entry = { child, info: processInfo, logFinished: log.finished };
+    backgroundProcesses.set(processName, entry);
+    notifyResourceListChanged();
+    if (processInfo.health) {
+      scheduleHealthCheck(processName, entry, supervisor.healthCheck.start_period);
+    }
+    return entry;
+  }
+
+  // 백그라운드 프로세스 상태 (running, restarting, exited, failed)
+  function getBackgroundStatus(info) {
+    if (!info.endTime) {
+      return "running";
+    }
+    if (info.supervisor && info.supervisor.restartTimer) {
+      return "restarting";
+    }
+    return info.exitCode === 0 && !info.error ? "exited" : "failed";
+  }
+
+  // 백그라운드 프로세스 상태 요약
+  function describeBackgroundProcess(name, info) {
+    const endTime = info.endTime ? new Date(info.endTime) : new Date();
+    return {
+      name,
+      pid: info.pid,
+      command: info.command,
+      cwd: info.cwd,
+      status: getBackgroundStatus(info),
+      running: !info.endTime,
+      exitCode: info.exitCode,
+      signal: info.exitSignal,
+      error: info.error,
+      startTime: info.startTime,
+      endTime: info.endTime,
+      duration: endTime.getTime() - new Date(info.startTime).getTime(),
+      outputSize: info.totalOutputSize,
+      errorSize: info.totalErrorSize,
+      logFiles: info.logFiles,
+      limits: info.limits,
+      limitExceeded: info.limitExceeded,
+      sandbox: info.sandbox,
+      restart: info.supervisor ? describeSupervisor(info.supervisor) : undefined,
+      health: info.health,
+    };
+  }
+
+  // 보관 개수/기간을 넘은 종료 기록 정리 (실행 중이거나 재시작 대기 중인 프로세스는 유지)
+  function pruneBackgroundHistory() {
+    const now = Date.now();
+    const finished = Array.from(backgroundProcesses.entries())
+      .filter(([, { info }]) => info.endTime && !(info.supervisor && info.supervisor.restartTimer))
+      .sort(([, a], [, b]) => new Date(b.info.endTime) - new Date(a.info.endTime));
+
+    finished.forEach(([name, entry], index) => {
+      if (index >= HISTORY_SIZE || now - new Date(entry.info.endTime).getTime() > HISTORY_MAX_AGE) {
+        if (backgroundProcesses.get(name) === entry) {
+          backgroundProcesses.delete(name);
+          notifyResourceListChanged();
+        }
+      }
+    });
+  }
+
+  // /proc/<pid>/stat 파싱 (comm에 공백/괄호가 있을 수 있으므로 마지막 ')' 기준)
+  function readProcStat(pid) {
+    try {
+      const text = readFileSync(`/proc/${pid}/stat`, 'utf8');
+      const end = text.lastIndexOf(')');
+      const fields = text.substring(end + 2).split(' ');
+      return {
+        pid: Number(pid),
+        comm: text.substring(text.indexOf('(') + 1, end),
+        state: fields[0],
+        ppid: Number(fields[1]),
+        pgid: Number(fields[2]),
+        utime: Number(fields[11]),
+        stime: Number(fields[12]),
+        starttime: Number(fields[19]),
+      };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // 전체 프로세스 목록 (pid, ppid, pgid) 조회 - Linux는 /proc, 그 외에는 ps 사용
+  async function listProcesses() {
+    try {
+      return readdirSync('/proc')
+        .filter((entry) => /^\d+$/.test(entry))
+        .map(readProcStat)
+        .filter(Boolean);
+    } catch (e) {
+      const { stdout } = await execAsync('ps -A -o pid=,ppid=,pgid=,stat=');
+      return stdout.trim().split('\n').map((line) => {
+        const [pid, ppid, pgid, state] = line.trim().split(/\s+/);
+        return { pid: Number(pid), ppid: Number(ppid), pgid: Number(pgid), state: state ? state[0] : '' };
+      });
+    }
+  }
+
+  // 루트 프로세스와 그 자손, 같은 프로세스 그룹의 PID 목록 (루트가 첫 번째)
+  // processes를 넘기면 프로세스 목록을 다시 읽지 않음
+  async function collectProcessTree(rootPid, processes = null) {
+    processes = processes || await listProcesses();
+    const children = new Map();
+    for (const proc of processes) {
+      if (!children.has(proc.ppid)) {
+        children.set(proc.ppid, []);
+      }
+      children.get(proc.ppid).push(proc.pid);
+    }
+
+    const pids = [rootPid];
+    const seen = new Set(pids);
+    for (let i = 0; i < pids.length; i++) {
+      for (const childPid of children.get(pids[i]) || []) {
+        if (!seen.has(childPid)) {
+          seen.add(childPid);
+          pids.push(childPid);
+        }
+      }
+    }
+    for (const proc of processes) {
+      if (proc.pgid === rootPid && !seen.has(proc.pid)) {
+        seen.add(proc.pid);
+        pids.push(proc.pid);
+      }
+    }
+    return pids;
+  }
+
+  // 프로세스 생존 여부 (좀비는 종료된 것으로 간주)
+  function isProcessAlive(pid) {
+    const procStat = readProcStat(pid);
+    if (procStat) {
+      return procStat.state !== 'Z';
+    }
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (e) {
+      return e.code === 'EPERM';
+    }
+  }
+
+  // 프로세스 트리 종료: 프로세스 그룹과 모든 자손에 signal 전송 후,
+  // gracePeriod 내에 종료되지 않은 프로세스는 SIGKILL
+  async function terminateProcessTree(rootPid, { signal = "SIGTERM", gracePeriod = KILL_GRACE_PERIOD } = {}) {
+    const pids = await collectProcessTree(rootPid);
+    const alive = pids.filter(isProcessAlive);
+    const terminated = [];
+
+    // 프로세스 그룹 전체에 먼저 전송 (트리 조회 이후 생성된 프로세스 포함)
+    try {
+      process.kill(-rootPid, signal);
+    } catch (e) {
+      // 프로세스 그룹이 없는 경우 개별 전송으로 처리
+    }
+    for (const pid of alive) {
+      try {
+        process.kill(pid, signal);
+      } catch (e) {
+        // 이미 종료된 경우 무시
+      }
+    }
+
+    if (signal !== "SIGKILL") {
+      const deadline = Date.now() + gracePeriod;
+      while (Date.now() < deadline && alive.some(isProcessAlive)) {
+        await new Promise((resolve) => setTimeout(resolve, 100));
+      }
+    }
+
+    for (const pid of alive) {
+      if (!isProcessAlive(pid)) {
+        terminated.push({ pid, signal });
+        continue;
+      }
+      try {
+        process.kill(pid, "SIGKILL");
+        terminated.push({ pid, signal: "SIGKILL" });
+      } catch (e) {
+        terminated.push({ pid, signal, error: e.message });
+      }
+    }
+
+    return {
+      terminated,
+      forced: terminated.some((entry) => entry.signal === "SIGKILL" && signal !== "SIGKILL"),
+    };
+  }
+
+  // spawn 기반 명령 실행 (exec와 같은 형태의 결과와 에러 반환, onOutput으로 출력 스트리밍)
+  function runCommand(command, { cwd, timeout = 0, maxBuffer = 10 * 1024 * 1024, onOutput, signal, shell = resolveShell('sh'), env, displayCommand = command, input } = {}) {
+    return new Promise((resolve, reject) => {
+      // 시간 초과 시 자식 프로세스까지 종료할 수 있도록 별도 프로세스 그룹으로 실행
+      const child = spawn(shell.path, [...shell.args, command], {
+        cwd,
+        env,
+        detached: true,
+        stdio: [input !== undefined ? "pipe" : "ignore", "pipe", "pipe"],
+      });
+
+      // input이 있으면 stdin으로 보낸 뒤 닫음 (명령이 읽지 않고 종료해도 무시)
+      if (input !== undefined) {
+        child.stdin.on("error", () => {});
+        child.stdin.end(input);
+      }
+
+      const chunks = { stdout: [], stderr: [] };
+      const sizes = { stdout: 0, stderr: 0 };
+      let settled = false;
+      let killed = false;
+      let timedOut = false;
+      let bufferError = null;
+
+      const kill = () => {
+        if (!killed) {
+          killed = true;
+          terminateProcessTree(child.pid).catch(() => {});
+        }
+      };
+
+      const timer = timeout > 0 ? setTimeout(() => {
+        timedOut = true;
+        kill();
+      }, timeout) : null;
+
+      // 요청 취소 시 프로세스 그룹 전체 종료
+      let cancelled = false;
+      const onAbort = () => {
+        cancelled = true;
+        kill();
+      };
+      if (signal) {
+        if (signal.aborted) {
+          onAbort();
+        } else {
+          signal.addEventListener("abort", onAbort, { once: true });
+        }
+      }
+
+      for (const stream of ["stdout", "stderr"]) {
+        child[stream].on("data", (data) => {
+          if (bufferError) {
+            return;
+          }
+          sizes[stream] += data.length;
+          if (sizes[stream] > maxBuffer) {
+            bufferError = new RangeError(`${stream} maxBuffer length exceeded`);
+            bufferError.code = "ERR_CHILD_PROCESS_STDIO_MAXBUFFER";
+            kill();
+            return;
+          }
+          chunks[stream].push(data);
+          if (onOutput) {
+            onOutput(stream, data.toString());
+          }
+        });
+      }
+
+      child.on("error", (error) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        clearTimeout(timer);
+        if (signal) {
+          signal.removeEventListener("abort", onAbort);
+        }
+        Object.assign(error, { stdout: "", stderr: "", cmd: command });
+        reject(error);
+      });
+
+      child.on("close", (code, exitSignal) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        clearTimeout(timer);
+        if (signal) {
+          signal.removeEventListener("abort", onAbort);
+        }
+
+        const stdout = Buffer.concat(chunks.stdout).toString();
+        const stderr = Buffer.concat(chunks.stderr).toString();
+        if (code === 0 && !bufferError && !timedOut && !cancelled) {
+          resolve({ stdout, stderr });
+          return;
+        }
+
+        let message = `Command failed: ${displayCommand}\n${stderr}`;
+        if (cancelled) {
+          message = `Command cancelled by client: ${displayCommand}`;
+        } else if (timedOut) {
+          message = `Command timed out after ${timeout}ms: ${displayCommand}\n${stderr}`;
+        }
+        const error = bufferError || new Error(message);
+        Object.assign(error, { code, signal: exitSignal, stdout, stderr, killed, timedOut, cancelled, cmd: command });
+        reject(error);
+      });
+    });
+  }
+
+  // 요청에 progressToken이 있으면 출력 줄을 notifications/progress로 전송
+  // PROGRESS_INTERVAL 간격으로 모아서 보내고, 전체 전송량은 MAX_OUTPUT_SIZE로 제한
+  function createProgressStreamer(extra, progressToken) {
+    if (progressToken === undefined || !extra || !extra.sendNotification) {
+      return { onOutput: undefined, stop: async () => {} };
+    }
+
+    // 줄 단위로 보내기 위해 스트림별(run_many에서는 명령별) 마지막 미완성 줄 보관
+    const partial = {};
+    let pending = [];
+    let progress = 0;
+    let sentBytes = 0;
+    let limitReached = false;
+    let timer = null;
+
+    const send = (message) => {
+      if (extra.signal && extra.signal.aborted) {
+        return Promise.resolve();
+      }
+      const params = { progressToken, progress };
+      if (message) {
+        params.message = redactSecrets(message).text;
+      }
+      return extra.sendNotification({ method: "notifications/progress", params }).catch(() => {});
+    };
+
+    const flush = () => {
+      timer = null;
+      if (pending.length === 0) {
+        return send();
+      }
+
+      let message = "";
+      let dropped = 0;
+      for (const line of pending) {
+        if (limitReached || Buffer.byteLength(message) + Buffer.byteLength(line) + 1 > PROGRESS_CHUNK_SIZE) {
+          dropped++;
+        } else {
+          message += line + "\n";
+        }
+      }
+      pending = [];
+
+      if (limitReached) {
+        return send();
+      }
+      if (dropped > 0) {
+        message += `[... ${dropped} more lines]\n`;
+      }
+      sentBytes += Buffer.byteLength(message);
+      if (sentBytes >= MAX_OUTPUT_SIZE) {
+        limitReached = true;
+        message += "[Progress output limit reached, full output will be in the result]\n";
+      }
+      return send(message.replace(/\n$/, ""));
+    };
+
+    const schedule = () => {
+      if (!timer) {
+        timer = setTimeout(flush, PROGRESS_INTERVAL);
+      }
+    };
+
+    const formatLine = (key, line) => {
+      const [label, stream] = JSON.parse(key);
+      return (label !== null ? `[${label}] ` : "") + (stream === "stderr" ? `[stderr] ${line}` : line);
+    };
+
+    return {
+      // label이 있으면 각 줄 앞에 [label]을 붙임
+      onOutput(stream, text, label = null) {
+        progress += Buffer.byteLength(text);
+        const key = JSON.stringify([label, stream]);
+        const lines = ((partial[key] || "") + text).split("\n");
+        partial[key] = lines.pop();
+        for (const line of lines) {
+          pending.push(formatLine(key, line));
+        }
+        schedule();
+      },
+      async stop() {
+        clearTimeout(timer);
+        for (const key of Object.keys(partial)) {
+          if (partial[key]) {
+            pending.push(formatLine(key, partial[key]));
+          }
+          delete partial[key];
+        }
+        if (pending.length > 0) {
+          await flush();
+        }
+      },
+    };
+  }
+
+  // 백그라운드 프로세스 stdin에 쓰기
+  function writeBackgroundStdin(entry, text, { newline = true, close = false } = {}) {
+    return new Promise((resolve, reject) => {
+      const { child, info } = entry;
+      if (!child.stdin || !info.stdinOpen) {
+        reject(new Error("stdin is not open for this process (start it with stdin: true)"));
+        return;
+      }
+
+      const data = (text || "") + (newline && text !== undefined ? "\n" : "");
+      const finish = (error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        if (close) {
+          info.stdinOpen = false;
+          child.stdin.end();
+        }
+        resolve(Buffer.byteLength(data));
+      };
+
+      if (data) {
+        child.stdin.write(data, finish);
+      } else {
+        finish();
+      }
+    });
+  }
+
+  // 정규식과 일치하는 출력이 나오거나 시간 초과/프로세스 종료까지 출력 수집
+  function waitForBackgroundOutput(entry, pattern, { timeout = 10000, stream = "both", signal } = {}) {
+    return new Promise((resolve) => {
+      const { info } = entry;
+      let output = "";
+      let timer = null;
+
+      const onAbort = () => finish({ matched: false, cancelled: true });
+      const finish = (result) => {
+        clearTimeout(timer);
+        info.outputListeners.delete(listener);
+        if (signal) {
+          signal.removeEventListener("abort", onAbort);
+        }
+        resolve({ output, ...result });
+      };
+      if (signal) {
+        signal.addEventListener("abort", onAbort, { once: true });
+      }
+
+      const listener = (source, text) => {
+        if (source === "exit") {
+          finish({ matched: false, exited: true });
+          return;
+        }
+        if (stream !== "both" && stream !== source) {
+          return;
+        }
+        output += text;
+        // 메모리 보호를 위해 수집 출력은 최근 부분만 유지
+        if (output.length > SESSION_MAX_BUFFER) {
+          output = output.substring(output.length - SESSION_MAX_BUFFER);
+        }
+        const match = pattern ? output.match(pattern) : null;
+        if (match) {
+          finish({ matched: true, match: match[0] });
+        }
+      };
+
+      timer = setTimeout(() => finish({ matched: false, timedOut: true }), timeout);
+      info.outputListeners.add(listener);
+
+      if (info.closed) {
+        finish({ matched: false, exited: true });
+      }
+    });
+  }
+
+  // localhost TCP 포트 연결 가능 여부 확인
+  function checkPort(port, host = "127.0.0.1", timeout = 1000) {
+    return new Promise((resolve) => {
+      const socket = netConnect({ port, host });
+      const done = (result) => {
+        socket.destroy();
+        resolve(result);
+      };
+      socket.setTimeout(timeout, () => done(false));
+      socket.once("connect", () => done(true));
+      socket.once("error", () => done(false));
+    });
+  }
+
+  // HTTP URL 요청 후 상태 코드 반환 (연결 실패 시 null)
+  function checkUrl(url, timeout = 2000) {
+    return new Promise((resolve) => {
+      try {
+        const client = url.startsWith("https:") ? https : http;
+        const request = client.get(url, { timeout }, (response) => {
+          response.resume();
+          resolve(response.statusCode);
+        });
+        request.on("timeout", () => request.destroy());
+        request.on("error", () => resolve(null));
+      } catch (e) {
+        resolve(null);
+      }
+    });
+  }
+
+  // 최근 출력의 마지막 N줄 추출
+  function recentOutputExcerpt(info, maxLines = 20) {
+    const text = info.output.join("") + (info.errors.length > 0 ? "\n" + info.errors.join("") : "");
+    return text.split("\n").slice(-maxLines).join("\n").substring(0, 4000);
+  }
+
+  // 백그라운드 프로세스가 조건(출력 패턴, 포트, URL, 파일, 종료) 중 하나를 만족할 때까지 대기
+  function waitForCondition(entry, conditions, { timeout = 30000, interval = 500, signal } = {}) {
+    const { info } = entry;
+    const { pattern, stream = "both", port, host, url, status, file, exit } = conditions;
+    const startedAt = Date.now();
+
+    return new Promise((resolve) => {
+      let finished = false;
+      let pollTimer = null;
+      let timeoutTimer = null;
+      // 청크 경계에 걸친 패턴도 찾을 수 있도록 최근 출력 유지
+      const buffers = { stdout: "", stderr: "" };
+
+      const onAbort = () => finish({ condition: null, cancelled: true });
+      const finish = (result) => {
+        if (finished) {
+          return;
+        }
+        finished = true;
+        clearTimeout(pollTimer);
+        clearTimeout(timeoutTimer);
+        info.outputListeners.delete(listener);
+        if (signal) {
+          signal.removeEventListener("abort", onAbort);
+        }
+        resolve({ elapsed: Date.now() - startedAt, ...result });
+      };
+      if (signal) {
+        signal.addEventListener("abort", onAbort, { once: true });
+      }
+
+      const testPattern = (source, text) => {
+        const match = text.match(pattern);
+        if (match) {
+          const lineStart = text.lastIndexOf("\n", match.index) + 1;
+          const lineEnd = text.indexOf("\n", match.index + match[0].length);
+          finish({
+            condition: "pattern",
+            detail: { pattern: pattern.source, stream: source, match: match[0] },
+            excerpt: text.substring(lineStart, lineEnd === -1 ? text.length : lineEnd),
+          });
+        }
+      };
+
+      const listener = (source, text) => {
+        if (source === "exit") {
+          if (exit) {
+            finish({ condition: "exit", detail: { exitCode: info.exitCode, signal: info.exitSignal }, excerpt: recentOutputExcerpt(info) });
+          } else {
+            // 종료 직전에 조건이 충족되었을 수 있으므로 마지막으로 한 번 더 확인
+            checkOnce().then((result) => {
+              finish(result || { condition: null, exited: true, excerpt: recentOutputExcerpt(info) });
+            });
+          }
+          return;
+        }
+        if (!pattern || (stream !== "both" && stream !== source)) {
+          return;
+        }
+        buffers[source] = (buffers[source] + text).slice(-65536);
+        testPattern(source, buffers[source]);
+      };
+
+      // 포트, URL, 파일 조건 확인 (충족된 조건 결과 또는 null 반환)
+      const checkOnce = async () => {
+        if (port !== undefined && await checkPort(port, host)) {
+          return { condition: "port", detail: { port, host: host || "127.0.0.1" }, excerpt: recentOutputExcerpt(info) };
+        }
+        if (url !== undefined) {
+          const statusCode = await checkUrl(url);
+          const ready = status !== undefined ? statusCode === status : statusCode !== null && statusCode >= 200 && statusCode < 300;
+          if (ready) {
+            return { condition: "url", detail: { url, status: statusCode }, excerpt: recentOutputExcerpt(info) };
+          }
+        }
+        if (file !== undefined) {
+          try {
+            await access(file);
+            return { condition: "file", detail: { file }, excerpt: recentOutputExcerpt(info) };
+          } catch (e) {
+            // 아직 파일 없음
+          }
+        }
+        return null;
+      };
+
+      const poll = async () => {
+        const result = await checkOnce();
+        if (result) {
+          finish(result);
+        } else if (!finished) {
+          pollTimer = setTimeout(poll, interval);
+        }
+      };
+
+      info.outputListeners.add(listener);
+      timeoutTimer = setTimeout(() => finish({ condition: null, timedOut: true, excerpt: recentOutputExcerpt(info) }), timeout);
+
+      // 이미 출력된 내용에서 먼저 패턴 검색
+      if (pattern) {
+        for (const source of ["stdout", "stderr"]) {
+          if (stream === "both" || stream === source) {
+            const chunks = source === "stdout" ? info.output : info.errors;
+            buffers[source] = chunks.join("").slice(-65536);
+            if (!finished) {
+              testPattern(source, buffers[source]);
+            }
+          }
+        }
+      }
+
+      if (!finished && info.closed) {
+        listener("exit", "");
+      }
+
+      if (!finished && (port !== undefined || url !== undefined || file !== undefined)) {
+        poll();
+      }
+    });
+  }
+
+  // 불완전한 UTF-8 문자로 끝나지 않도록 버퍼 끝 조정
+  function trimIncompleteUtf8(buffer) {
+    let end = buffer.length;
+    let i = end - 1;
+    // 마지막 문자의 시작 바이트 찾기 (최대 3바이트 거슬러 올라감)
+    while (i >= 0 && i >= end - 4 && (buffer[i] & 0xc0) === 0x80) {
+      i--;
+    }
+    if (i < 0) {
+      return buffer;
+    }
+    const lead = buffer[i];
+    const expected = lead >= 0xf0 ? 4 : lead >= 0xe0 ? 3 : lead >= 0xc0 ? 2 : 1;
+    if (end - i < expected) {
+      end = i;
+    }
+    return buffer.subarray(0, end);
+  }
+
+  // 로그 파일의 바이트 범위 읽기
+  async function readLogBytes(filePath, offset, length) {
+    const handle = await open(filePath, 'r');
+    try {
+      const { size } = await handle.stat();
+      const start = Math.min(Math.max(offset, 0), size);
+      const buffer = Buffer.alloc(Math.min(length, size - start));
+      const { bytesRead } = await handle.read(buffer, 0, buffer.length, start);
+      const data = trimIncompleteUtf8(buffer.subarray(0, bytesRead));
+      return {
+        output: data.toString('utf8'),
+        offset: start,
+        nextOffset: start + data.length,
+        totalSize: size,
+        eof: start + data.length >= size,
+      };
+    } finally {
+      await handle.close();
+    }
+  }
+
+  // 로그 파일을 줄 단위로 읽기 (줄 오프셋, 정규식 필터, tail 지원)
+  async function readLogLines(filePath, { lineOffset = 0, maxLines, tail, grep, maxBytes }) {
+    const { size } = await stat(filePath);
+    const reader = createInterface({
+      input: createReadStream(filePath, { encoding: 'utf8' }),
+      crlfDelay: Infinity,
+    });
+
+    const selected = [];
+    let lineNumber = 0;
+    let matchedCount = 0;
+    let nextLine = null;
+    let bytes = 0;
+
+    for await (const line of reader) {
+      lineNumber++;
+      if (lineNumber <= lineOffset) {
+        continue;
+      }
+      if (grep && !grep.test(line)) {
+        continue;
+      }
+      matchedCount++;
+
+      const text = grep ? `${lineNumber}:${line}` : line;
+      if (tail) {
+        // tail 모드에서는 마지막 N줄만 유지
+        selected.push(text);
+        if (selected.length > tail) {
+          selected.shift();
+        }
+        continue;
+      }
+
+      bytes += Buffer.byteLength(text) + 1;
+      if (selected.length >= maxLines || bytes > maxBytes) {
+        nextLine = lineNumber - 1;
+        break;
+      }
+      selected.push(text);
+    }
+    reader.close();
+
+    return {
+      output: selected.join('\n'),
+      lines: selected.length,
+      totalLines: nextLine === null ? lineNumber : undefined,
+      matchedLines: grep && nextLine === null ? matchedCount : undefined,
+      nextLine,
+      totalSize: size,
+      eof: nextLine === null,
+    };
+  }
+
+  // ===== 백그라운드 프로세스 자원 사용량 (/proc) =====
+
+  // /proc/<pid>/stat의 CPU 시간 단위 (Linux USER_HZ, 사실상 항상 100)
+  const CLOCK_TICKS = 100;
+
+  // 소수점 첫째 자리까지 반올림한 CPU 사용률
+  function cpuPercentOf(ticks, seconds) {
+    return seconds > 0 ? Math.round((ticks / CLOCK_TICKS / seconds) * 1000) / 10 : 0;
+  }
+
+  // /proc/<pid>/status에서 RSS와 스레드 수 조회 (종료된 프로세스는 null)
+  function readProcStatus(pid) {
+    try {
+      const text = readFileSync(`/proc/${pid}/status`, 'utf8');
+      const rss = text.match(/^VmRSS:\s+(\d+) kB/m);
+      const threads = text.match(/^Threads:\s+(\d+)/m);
+      return {
+        rssBytes: rss ? Number(rss[1]) * 1024 : 0,
+        threads: threads ? Number(threads[1]) : 0,
+      };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // 열린 파일 디스크립터 수와 소켓 inode 목록 (권한이 없으면 null)
+  function readProcFds(pid) {
+    let fds;
+    try {
+      fds = readdirSync(`/proc/${pid}/fd`);
+    } catch (e) {
+      return null;
+    }
+    const sockets = [];
+    for (const fd of fds) {
+      try {
+        const match = readlinkSync(`/proc/${pid}/fd/${fd}`).match(/^socket:\[(\d+)\]$/);
+        if (match) {
+          sockets.push(match[1]);
+        }
+      } catch (e) {
+        // 조회 중에 닫힌 fd
+      }
+    }
+    return { count: fds.length, sockets };
+  }
+
+  // /proc/net 주소(16진수, 32비트 단위 리틀엔디언) 변환
+  function parseProcNetAddress(text) {
+    const [hexAddress, hexPort] = text.split(':');
+    const bytes = hexAddress.match(/.{8}/g).flatMap((word) => word.match(/../g).reverse());
+    const address = bytes.length === 4
+      ? bytes.map((byte) => parseInt(byte, 16)).join('.')
+      // URL 파서로 IPv6 주소를 축약 표기로 정규화
+      : new URL(`http://[${bytes.join('').match(/.{4}/g).join(':')}]`).hostname.slice(1, -1);
+    return { address, port: parseInt(hexPort, 16) };
+  }
+
+  // 주어진 소켓 중 대기 중인 TCP 소켓과 바인딩된 UDP 소켓 조회
+  // 샌드박스의 네트워크 네임스페이스도 반영되도록 루트 프로세스의 /proc/<pid>/net 사용
+  function findListeningPorts(rootPid, socketOwners) {
+    const ports = [];
+    for (const protocol of ['tcp', 'tcp6', 'udp', 'udp6']) {
+      let text;
+      try {
+        text = readFileSync(`/proc/${rootPid}/net/${protocol}`, 'utf8');
+      } catch (e) {
+        continue;
+      }
+      // TCP는 LISTEN(0A), UDP는 연결되지 않은 소켓(07)만
+      const listenState = protocol.startsWith('tcp') ? '0A' : '07';
+      for (const line of text.trim().split('\n').slice(1)) {
+        const fields = line.trim().split(/\s+/);
+        const inode = fields[9];
+        if (fields[3] !== listenState || !socketOwners.has(inode)) {
+          continue;
+        }
+        ports.push({ protocol, ...parseProcNetAddress(fields[1]), pid: socketOwners.get(inode) });
+      }
+    }
+    return ports.sort((a, b) => a.port - b.port || a.protocol.localeCompare(b.protocol));
+  }
+
+  // 프로세스 트리의 자원 사용량 스냅샷 (/proc이 없거나 루트 프로세스가 없으면 null)
+  // processes를 넘기면 여러 프로세스를 조회할 때 프로세스 목록을 한 번만 읽음
+  async function readProcessTreeUsage(rootPid, processes = null) {
+    if (!readProcStat(rootPid)) {
+      return null;
+    }
+    const pids = await collectProcessTree(rootPid, processes);
+    const uptime = parseFloat(readFileSync('/proc/uptime', 'utf8'));
+    const entries = [];
+    const socketOwners = new Map();
+    for (const pid of pids) {
+      const procStat = readProcStat(pid);
+      const status = readProcStatus(pid);
+      if (!procStat || !status) {
+        continue;
+      }
+      const fds = readProcFds(pid);
+      for (const inode of fds ? fds.sockets : []) {
+        if (!socketOwners.has(inode)) {
+          socketOwners.set(inode, pid);
+        }
+      }
+      const cpuTicks = procStat.utime + procStat.stime;
+      entries.push({
+        pid,
+        ppid: procStat.ppid,
+        name: procStat.comm,
+        state: procStat.state,
+        // 시작 이후 평균 (샘플링하면 구간 평균으로 대체)
+        cpuPercent: cpuPercentOf(cpuTicks, uptime - procStat.starttime / CLOCK_TICKS),
+        cpuTicks,
+        rssBytes: status.rssBytes,
+        threads: status.threads,
+        fds: fds ? fds.count : null,
+      });
+    }
+    return { time: Date.now(), rootPid, processes: entries, ports: findListeningPorts(rootPid, socketOwners) };
+  }
+
+  // 두 스냅샷 사이의 CPU 사용률로 각 프로세스의 cpuPercent 갱신 (구간 중에 시작된 프로세스는 전체 CPU 시간 사용)
+  function applyCpuWindow(snapshot, previous) {
+    const seconds = (snapshot.time - previous.time) / 1000;
+    const previousTicks = new Map(previous.processes.map((proc) => [proc.pid, proc.cpuTicks]));
+    for (const proc of snapshot.processes) {
+      proc.cpuPercent = cpuPercentOf(proc.cpuTicks - (previousTicks.get(proc.pid) || 0), seconds);
+    }
+    return snapshot;
+  }
+
+  // 스냅샷 합계 (details가 true면 프로세스별 내역 포함)
+  function summarizeUsage(snapshot, { details = false } = {}) {
+    const sum = (key) => snapshot.processes.reduce((total, proc) => total + (proc[key] || 0), 0);
+    const usage = {
+      cpuPercent: Math.round(sum('cpuPercent') * 10) / 10,
+      rssBytes: sum('rssBytes'),
+      threads: sum('threads'),
+      fds: sum('fds'),
+      childPids: snapshot.processes.map((proc) => proc.pid).filter((pid) => pid !== snapshot.rootPid),
+      ports: snapshot.ports,
+    };
+    if (details) {
+      usage.processes = snapshot.processes.map(({ cpuTicks, ...proc }) => proc);
+    }
+    return usage;
+  }
+
+  // 요청 취소 시 바로 끝나는 대기
+  function sleepWithSignal(ms, signal) {
+    return new Promise((resolve) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      const timer = setTimeout(() => {
+        if (signal) {
+          signal.removeEventListener("abort", onAbort);
+        }
+        resolve();
+      }, ms);
+      if (signal) {
+        signal.addEventListener("abort", onAbort, { once: true });
+      }
+    });
+  }
+
+  // 실행 중인 프로세스 트리를 sampleMs 동안 여러 번 조회해 구간 CPU 사용률과 최대 RSS 계산
+  async function sampleProcessTreeUsage(rootPid, { sampleMs, samples, signal }) {
+    let previous = await readProcessTreeUsage(rootPid);
+    if (!previous || !sampleMs) {
+      return { snapshot: previous, series: null };
+    }
+    const first = previous;
+    const series = [];
+    for (let i = 0; i < samples; i++) {
+      await sleepWithSignal(sampleMs / samples, signal);
+      if (signal && signal.aborted) {
+        break;
+      }
+      const snapshot = await readProcessTreeUsage(rootPid);
+      if (!snapshot) {
+        break;
+      }
+      const { cpuPercent, rssBytes, threads, fds } = summarizeUsage(applyCpuWindow(snapshot, previous));
+      series.push({ time: new Date(snapshot.time).toISOString(), cpuPercent, rssBytes, threads, fds, processes: snapshot.processes.length });
+      previous = snapshot;
+    }
+    if (series.length === 0) {
+      return { snapshot: first, series: null };
+    }
+    return {
+      // 마지막 스냅샷의 CPU 사용률은 전체 구간 평균으로 계산
+      snapshot: applyCpuWindow(previous, first),
+      series: {
+        windowMs: previous.time - first.time,
+        samples: series,
+        peakRssBytes: Math.max(...series.map((sample) => sample.rssBytes)),
+      },
+    };
+  }
+
+  // ===== 백그라운드 프로세스 감독 (재시작 정책과 상태 확인) =====
+
+  const RESTART_POLICIES = ['never', 'on-failure', 'always'];
+
+  // run_background의 restart/health_check 옵션으로 감독 정보 생성 (감독할 것이 없으면 null)
+  // 상태 확인만 지정하면 on-failure 정책을 적용
+  function createSupervisor({ restart, max_restarts = 5, restart_delay = 1000, max_restart_delay = 30000, health_check } = {}, startOptions) {
+    if (restart !== undefined && !RESTART_POLICIES.includes(restart)) {
+      throw new Error(`Invalid restart policy '${restart}' (expected one of: ${RESTART_POLICIES.join(', ')})`);
+    }
+
+    let healthCheck = null;
+    if (health_check) {
+      const targets = ['command', 'port', 'url'].filter((key) => health_check[key] !== undefined);
+      if (targets.length !== 1) {
+        throw new Error("health_check requires exactly one of: command, port, url");
+      }
+      const { interval = 10000, timeout = 5000, retries = 3 } = health_check;
+      healthCheck = { ...health_check, interval, timeout, retries, start_period: health_check.start_period ?? interval };
+    }
+
+    const policy = restart || (healthCheck ? 'on-failure' : 'never');
+    if (policy === 'never' && !healthCheck) {
+      return null;
+    }
+    return {
+      policy,
+      maxRestarts: max_restarts,
+      restartDelay: restart_delay,
+      maxRestartDelay: max_restart_delay,
+      healthCheck,
+      startOptions,
+      restarts: 0,
+      // 백오프 단계 (연속 재시작 횟수, 오래 실행된 뒤 종료되면 초기화)
+      backoffLevel: 0,
+      lastFailure: null,
+      nextRestart: null,
+      restartTimer: null,
+      gaveUp: false,
+      stopped: false,
+    };
+  }
+
+  // 감독 정보 요약
+  function describeSupervisor(supervisor) {
+    return {
+      policy: supervisor.policy,
+      restarts: supervisor.restarts,
+      maxRestarts: supervisor.maxRestarts,
+      lastFailure: supervisor.lastFailure,
+      nextRestart: supervisor.nextRestart,
+      gaveUp: supervisor.gaveUp || undefined,
+    };
+  }
+
+  // 감독 중지 (kill_background, 종료 시): 대기 중인 재시작과 상태 확인 취소
+  // 재시작 대기 중이었으면 true 반환
+  function stopSupervisor(info) {
+    clearTimeout(info.healthTimer);
+    const supervisor = info.supervisor;
+    if (!supervisor) {
+      return false;
+    }
+    supervisor.stopped = true;
+    const pending = !!supervisor.restartTimer;
+    clearTimeout(supervisor.restartTimer);
+    supervisor.restartTimer = null;
+    supervisor.nextRestart = null;
+    return pending;
+  }
+
+  // 종료 이유 설명 (재시작 기록용)
+  function describeExitReason(info) {
+    if (info.healthFailure) {
+      return info.healthFailure;
+    }
+    if (info.error) {
+      return `Failed to start: ${info.error}`;
+    }
+    if (info.exitSignal) {
+      return `Killed by signal ${info.exitSignal}`;
+    }
+    return `Exited with code ${info.exitCode}`;
+  }
+
+  // 감독 중인 프로세스 종료 처리: 정책에 따라 지수 백오프 후 재시작 예약
+  function handleSupervisedExit(processName, entry) {
+    const { info } = entry;
+    const supervisor = info.supervisor;
+    clearTimeout(info.healthTimer);
+    if (supervisor.stopped || backgroundProcesses.get(processName) !== entry) {
+      return;
+    }
+
+    const failed = !!info.healthFailure || !!info.error || info.exitCode !== 0;
+    if (failed) {
+      supervisor.lastFailure = {
+        reason: describeExitReason(info),
+        time: info.endTime,
+        exitCode: info.exitCode,
+        signal: info.exitSignal,
+      };
+    }
+    if (supervisor.policy === 'never' || (supervisor.policy === 'on-failure' && !failed)) {
+      return;
+    }
+    if (supervisor.restarts >= supervisor.maxRestarts) {
+      supervisor.gaveUp = true;
+      console.error(`Background process '${processName}' exited and reached max restarts (${supervisor.maxRestarts})`);
+      return;
+    }
+
+    const ranFor = new Date(info.endTime).getTime() - new Date(info.startTime).getTime();
+    if (ranFor >= supervisor.maxRestartDelay) {
+      supervisor.backoffLevel = 0;
+    }
+    const delay = Math.min(supervisor.restartDelay * 2 ** supervisor.backoffLevel, supervisor.maxRestartDelay);
+    supervisor.backoffLevel++;
+    supervisor.nextRestart = new Date(Date.now() + delay).toISOString();
+    supervisor.restartTimer = setTimeout(() => restartBackgroundProcess(processName, entry), delay);
+    supervisor.restartTimer.unref();
+  }
+
+  // 같은 이름, 같은 옵션으로 프로세스 다시 시작 (로그 파일은 새로 생성)
+  function restartBackgroundProcess(processName, previous) {
+    const supervisor = previous.info.supervisor;
+    supervisor.restartTimer = null;
+    supervisor.nextRestart = null;
+    if (supervisor.stopped || backgroundProcesses.get(processName) !== previous) {
+      return;
+    }
+
+    supervisor.restarts++;
+    const { command } = previous.info;
+    try {
+      const { child, info } = startBackgroundProcess(processName, command, { ...supervisor.startOptions, supervisor });
+      console.error(`Restarted background process '${processName}' (PID: ${child.pid}, restart ${supervisor.restarts}/${supervisor.maxRestarts})`);
+      recordAudit({
+        tool: "run_background",
+        event: "restart",
+        name: processName,
+        pid: child.pid,
+        command,
+        cwd: info.cwd,
+        restarts: supervisor.restarts,
+        reason: supervisor.lastFailure ? supervisor.lastFailure.reason : undefined,
+        logFiles: info.logFiles,
+      });
+    } catch (error) {
+      supervisor.gaveUp = true;
+      supervisor.lastFailure = { reason: `Failed to restart: ${error.message}`, time: new Date().toISOString() };
+      console.error(`Failed to restart background process '${processName}':`, error.message);
+    }
+  }
+
+  // 상태 확인 1회 실행 (정상이면 null, 실패하면 이유 반환)
+  async function runHealthCheck(supervisor) {
+    const check = supervisor.healthCheck;
+    if (check.port !== undefined) {
+      return await checkPort(check.port, check.host, check.timeout) ? null : `port ${check.port} is not accepting connections`;
+    }
+    if (check.url !== undefined) {
+      const statusCode = await checkUrl(check.url, check.timeout);
+      const healthy = check.status !== undefined ? statusCode === check.status : statusCode !== null && statusCode >= 200 && statusCode < 300;
+      if (healthy) {
+        return null;
+      }
+      return statusCode === null ? `${check.url} is not reachable` : `${check.url} returned status ${statusCode}`;
+    }
+
+    // 명령은 프로세스와 같은 작업 디렉토리, 셸, 환경변수, 샌드박스에서 실행
+    const { cwd, shell, env, env_file, inherit_env, sandbox } = supervisor.startOptions;
+    try {
+      const sandboxed = applySandbox(check.command, resolveShell(shell), sandbox);
+      await runCommand(sandboxed.command, {
+        cwd,
+        timeout: check.timeout,
+        maxBuffer: 64 * 1024,
+        shell: sandboxed.shell,
+        env: buildCommandEnv({ env, env_file, inherit_env, cwd }),
+        displayCommand: check.command,
+      });
+      return null;
+    } catch (error) {
+      if (error.timedOut) {
+        return `command timed out after ${check.timeout}ms`;
+      }
+      const detail = (error.stderr || '').trim().split('\n').pop();
+      return error.code !== undefined && error.code !== null
+        ? `command exited with code ${error.code}${detail ? `: ${detail.substring(0, 200)}` : ''}`
+        : error.message;
+    }
+  }
+
+  // 상태 확인 예약: retries번 연속 실패하면 unhealthy로 표시하고,
+  // 재시작 정책이 있으면 프로세스 트리를 종료해 재시작되게 함
+  function scheduleHealthCheck(processName, entry, delay) {
+    const { info } = entry;
+    const supervisor = info.supervisor;
+    info.healthTimer = setTimeout(async () => {
+      info.healthTimer = null;
+      if (info.endTime || supervisor.stopped) {
+        return;
+      }
+
+      const reason = await runHealthCheck(supervisor);
+      if (info.endTime || supervisor.stopped) {
+        return;
+      }
+
+      const health = info.health;
+      health.lastCheck = new Date().toISOString();
+      if (!reason) {
+        Object.assign(health, { status: 'healthy', consecutiveFailures: 0, lastError: null });
+      } else {
+        health.consecutiveFailures++;
+        health.lastError = reason;
+        if (health.consecutiveFailures >= supervisor.healthCheck.retries) {
+          health.status = 'unhealthy';
+          if (supervisor.policy !== 'never') {
+            info.healthFailure = `Health check failed ${health.consecutiveFailures} times: ${reason}`;
+            recordAudit({ tool: "run_background", event: "unhealthy", name: processName, pid: info.pid, command: info.command, reason });
+            terminateProcessTree(info.pid).catch(() => {});
+            return;
+          }
+        }
+      }
+      scheduleHealthCheck(processName, entry, supervisor.healthCheck.interval);
+    }, delay);
+    info.healthTimer.unref();
+  }
+
+  // ===== MCP 리소스 (overflow 파일과 백그라운드 로그) =====
+
+  // 이 서버가 저장한 overflow 파일 (id -> 경로)
+  const overflowFiles = new Map();
+
+  // 클라이언트가 구독한 리소스 URI (URI -> 구독한 서버 인스턴스)와 대기 중인 변경 알림
+  const resourceSubscriptions = new Map();
+  const pendingResourceUpdates = new Map();
+
+  const BACKGROUND_LOG_STREAMS = ['stdout', 'stderr', 'interleaved'];
+
+  function overflowResourceId(filePath) {
+    return basename(filePath).replace(/^bash-mcp-/, '').replace(/\.txt$/, '');
+  }
+
+  function overflowResourceUri(filePath) {
+    return `bash-mcp://output/${encodeURIComponent(overflowResourceId(filePath))}`;
+  }
+
+  function backgroundResourceUri(processName, stream) {
+    return `bash-mcp://background/${encodeURIComponent(processName)}/${stream}`;
+  }
+
+  function backgroundResourceUris(processName) {
+    return Object.fromEntries(BACKGROUND_LOG_STREAMS.map((stream) => [stream, backgroundResourceUri(processName, stream)]));
+  }
+
+  function registerOverflowFile(filePath) {
+    overflowFiles.set(overflowResourceId(filePath), { filePath, createdAt: new Date().toISOString() });
+    notifyResourceListChanged();
+  }
+
+  // 연결 전이거나 연결이 끊긴 경우 알림 실패는 무시
+  function notifyResourceListChanged() {
+    for (const server of servers) {
+      server.sendResourceListChanged().catch(() => {});
+    }
+  }
+
+  // 구독 중인 백그라운드 로그가 바뀌면 알림 (URI별로 PROGRESS_INTERVAL마다 최대 한 번)
+  function notifyBackgroundResources(processName, streams) {
+    for (const stream of streams) {
+      const uri = backgroundResourceUri(processName, stream);
+      if (!resourceSubscriptions.has(uri) || pendingResourceUpdates.has(uri)) {
+        continue;
+      }
+      const timer = setTimeout(() => {
+        pendingResourceUpdates.delete(uri);
+        for (const server of resourceSubscriptions.get(uri) || []) {
+          server.sendResourceUpdated({ uri }).catch(() => {});
+        }
+      }, PROGRESS_INTERVAL);
+      timer.unref();
+      pendingResourceUpdates.set(uri, timer);
+    }
+  }
+
+  // 리소스 URI를 파일 경로로 변환 (없는 리소스면 McpError)
+  function resolveResource(uri) {
+    let url;
+    try {
+      url = new URL(uri);
+    } catch (error) {
+      throw new McpError(ErrorCode.InvalidParams, `Invalid resource URI: ${uri}`);
+    }
+    const segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+
+    if (url.protocol === 'bash-mcp:' && url.hostname === 'output' && segments.length === 1) {
+      const file = overflowFiles.get(segments[0]);
+      if (file) {
+        return { filePath: file.filePath, params: url.searchParams };
+      }
+    }
+
+    if (url.protocol === 'bash-mcp:' && url.hostname === 'background' && segments.length === 2) {
+      const entry = backgroundProcesses.get(segments[0]);
+      if (entry && entry.info.logFiles[segments[1]]) {
+        return { filePath: entry.info.logFiles[segments[1]], params: url.searchParams };
+      }
+    }
+
+    throw new McpError(ErrorCode.InvalidParams, `Resource not found: ${uri}`);
+  }
+
+  // 인스턴스 디렉토리의 수정 시각 갱신 (다른 인스턴스가 실행 중인 인스턴스의 디렉토리를 지우지 않게 함)
+  async function touchOutputDir() {
+    if (OUTPUT_DIR === TEMP_DIR) {
+      return;
+    }
+    const now = new Date();
+    try {
+      await utimes(OUTPUT_DIR, now, now);
+    } catch (error) {
+      console.error(`Failed to update ${OUTPUT_DIR}:`, error.message);
+    }
+  }
+
+  // 보관 기간 동안 갱신되지 않은 다른 인스턴스의 출력 디렉토리 삭제
+  async function removeStaleOutputDirs(now) {
+    let entries;
+    try {
+      entries = await readdir(TEMP_DIR, { withFileTypes: true });
+    } catch (error) {
+      return;
+    }
+    for (const entry of entries) {
+      if (!entry.isDirectory() || !OUTPUT_DIR_PATTERN.test(entry.name) || entry.name === outputDirName) {
+        continue;
+      }
+      const dirPath = join(TEMP_DIR, entry.name);
+      try {
+        const { mtimeMs } = await stat(dirPath);
+        if (now - mtimeMs > RETENTION_MAX_AGE) {
+          await rm(dirPath, { recursive: true, force: true });
+          console.error(`Removed stale output directory ${dirPath}`);
+        }
+      } catch (error) {
+        // 그 사이 삭제된 경우 무시
+      }
+    }
+  }
+
+  // 보관 기간과 전체 크기 제한에 따라 이 인스턴스의 overflow 파일과 백그라운드 로그 정리
+  // 목록에 남아 있는 백그라운드 프로세스의 로그는 종료된 뒤에도 유지
+  // 다른 인스턴스의 디렉토리는 보관 기간 동안 갱신되지 않은 경우(종료된 인스턴스의 잔여물)에만 삭제
+  async function collectGarbage() {
+    const now = Date.now();
+    await touchOutputDir();
+    await removeStaleOutputDirs(now);
+
+    const protectedFiles = new Set();
+    for (const { info } of backgroundProcesses.values()) {
+      Object.values(info.logFiles).forEach((filePath) => protectedFiles.add(filePath));
+    }
+
+    let names;
+    try {
+      names = await readdir(OUTPUT_DIR);
+    } catch (error) {
+      console.error(`Failed to read ${OUTPUT_DIR} for cleanup:`, error.message);
+      return { removed: 0 };
+    }
+
+    const files = [];
+    for (const name of names) {
+      if (!name.startsWith('bash-mcp-') || !/\.(txt|log)$/.test(name)) {
+        continue;
+      }
+      const filePath = join(OUTPUT_DIR, name);
+      if (protectedFiles.has(filePath)) {
+        continue;
+      }
+      try {
+        const info = await stat(filePath);
+        if (info.isFile()) {
+          files.push({ filePath, size: info.size, mtime: info.mtimeMs });
+        }
+      } catch (error) {
+        // 그 사이 삭제된 경우 무시
+      }
+    }
+
+    // 오래된 파일부터 삭제: 보관 기간을 넘었거나 전체 크기가 제한을 넘는 동안
+    files.sort((a, b) => a.mtime - b.mtime);
+    let totalSize = files.reduce((sum, file) => sum + file.size, 0);
+    let removed = 0;
+    for (const file of files) {
+      if (now - file.mtime <= RETENTION_MAX_AGE && totalSize <= RETENTION_MAX_SIZE) {
+        break;
+      }
+      try {
+        await unlink(file.filePath);
+        removed++;
+        totalSize -= file.size;
+      } catch (error) {
+        // 이미 삭제된 경우 무시
+      }
+    }
+
+    for (const [id, { filePath }] of overflowFiles) {
+      try {
+        await access(filePath, constants.F_OK);
+      } catch (error) {
+        overflowFiles.delete(id);
+      }
+    }
+    if (removed > 0) {
+      console.error(`Removed ${removed} old output file(s) from ${OUTPUT_DIR}`);
+      notifyResourceListChanged();
+    }
+    return { removed };
+  }
+
+  // 기본 제공 도구 목록
+  const BUILTIN_TOOLS = [
+    {
+      name: "run",
+      description: "Execute a shell command and return output",
+      inputSchema: {
+        type: "object",
+        properties: {
+          command: {
+            type: "string",
+            description: "Shell command to execute",
+          },
+          cwd: {
+            type: "string",
+            description: "Working directory (optional)",
+          },
+          timeout: {
+            type: "number",
+            description: "Timeout in milliseconds (default: 30000)",
+          },
+          max_output: {
+            type: "number",
+            description: "Maximum response size in bytes for this call (default and maximum: BASH_MCP_MAX_OUTPUT_SIZE). stdout and stderr share this budget; longer output keeps its beginning and end",
+          },
+          parse: {
+            type: "string",
+            enum: ["json", "ndjson", "csv", "tsv", "lines"],
+            description: "Parse stdout and return it in the 'parsed' field instead of raw text. Falls back to raw stdout with 'parseError' if parsing fails",
+          },
+          parse_options: {
+            type: "object",
+            description: "Options for parse",
+            properties: {
+              pattern: { type: "string", description: "lines: regex applied to each line; named groups become object fields, other groups an array. Non-matching lines are skipped" },
+              flags: { type: "string", description: "lines: regex flags" },
+              skip_empty: { type: "boolean", description: "lines: drop empty lines" },
+              header: { type: "boolean", description: "csv/tsv: first row is a header and rows become objects (default: true)" },
+              delimiter: { type: "string", description: "csv/tsv: field delimiter override" },
+            },
+          },
+          shell: {
+            type: "string",
+            enum: ["bash", "sh", "zsh", "bash-login"],
+            description: "Shell that runs the command (default: BASH_MCP_DEFAULT_SHELL or bash). bash-login runs bash -l so profile files are loaded",
+          },
+          env: {
+            type: "object",
+            additionalProperties: { type: ["string", "null"] },
+            description: "Environment variables to set (merged over the inherited environment; null removes a variable)",
+          },
+          env_file: {
+            type: "string",
+            description: "dotenv file (KEY=VALUE lines) to load, relative to cwd. Applied before env",
+          },
+          inherit_env: {
+            type: "boolean",
+            description: "Inherit the server's environment, filtered by BASH_MCP_ENV_ALLOW/BASH_MCP_ENV_DENY (default: true). When false only basic variables such as PATH, HOME and LANG are kept",
+          },
+          limits: {
+            type: "object",
+            description: "Resource limits for this command (Linux only, overrides server defaults)",
+            properties: {
+              cpu_seconds: { type: "number", description: "Maximum CPU time in seconds" },
+              memory_mb: { type: "number", description: "Maximum address space in MB (actual memory with cgroup)" },
+              file_size_mb: { type: "number", description: "Maximum size of files the command may write, in MB" },
+              max_processes: { type: "number", description: "Maximum number of processes (counted per user by the kernel; per command with cgroup)" },
+              nice: { type: "number", description: "Nice level (scheduling priority)" },
+              cgroup: { type: "boolean", description: "Also run inside a cgroup v2 scope via systemd-run when available" },
+            },
+          },
+        },
+        required: ["command"],
+      },
+      outputSchema: {
+        type: "object",
+        properties: {
+          success: { type: "boolean" },
+          stdout: { type: "string" },
+          stderr: { type: "string" },
+          command: { type: "string" },
+          error: { type: "string" },
+          code: { type: ["number", "string", "null"] },
+          signal: { type: ["string", "null"] },
+          parsed: { description: "Parsed stdout when parse was requested and succeeded" },
+          parseFormat: { type: "string" },
+          parseError: { type: "string" },
+          overflow: { type: "boolean" },
+          details: { type: "object" },
+          truncated: { type: "boolean" },
+          redactions: { type: "number" },
+          rejected: { type: "boolean" },
+          sandbox: { type: "object" },
+        },
+        required: ["success", "command"],
+      },
+    },
+    {
+      name: "run_script",
+      description: "Write a script to a private temp file, run it with an interpreter and remove the file afterwards. Reports the failing line number when the interpreter makes it available",
+      inputSchema: {
+        type: "object",
+        properties: {
+          script: {
+            type: "string",
+            description: "Script body",
+          },
+          interpreter: {
+            type: "string",
+            description: "bash, sh, python3, node, or a custom '#!' shebang line such as '#!/usr/bin/env ruby' (default: the script's own shebang, otherwise bash)",
+          },
+          args: {
+            type: "array",
+            items: { type: "string" },
+            description: "Positional arguments passed to the script",
+          },
+          stdin: {
+            type: "string",
+            description: "Content written to the script's standard input",
+          },
+          strict: {
+            type: "boolean",
+            description: "Shell scripts only: run bash with 'set -euo pipefail' and sh with 'set -eu' (default: false)",
+          },
+          cwd: {
+            type: "string",
+            description: "Working directory (optional)",
+          },
+          timeout: {
+            type: "number",
+            description: "Timeout in milliseconds (default: 30000)",
+          },
+          max_output: {
+            type: "number",
+            description: "Maximum response size in bytes for this call (default and maximum: BASH_MCP_MAX_OUTPUT_SIZE)",
+          },
+          env: {
+            type: "object",
+            additionalProperties: { type: ["string", "null"] },
+            description: "Environment variables to set (merged over the inherited environment; null removes a variable)",
+          },
+          env_file: {
+            type: "string",
+            description: "dotenv file (KEY=VALUE lines) to load, relative to cwd. Applied before env",
+          },
+          inherit_env: {
+            type: "boolean",
+            description: "Inherit the server's filtered environment (default: true)",
+          },
+        },
+        required: ["script"],
+      },
+      outputSchema: {
+        type: "object",
+        properties: {
+          success: { type: "boolean" },
+          stdout: { type: "string" },
+          stderr: { type: "string" },
+          command: { type: "string" },
+          interpreter: { type: "string" },
+          failedLine: { type: "number", description: "Line of the script that failed, when known" },
+          error: { type: "string" },
+          code: { type: ["number", "string", "null"] },
+          signal: { type: ["string", "null"] },
+          overflow: { type: "boolean" },
+          details: { type: "object" },
+          truncated: { type: "boolean" },
+          redactions: { type: "number" },
+          rejected: { type: "boolean" },
+          sandbox: { type: "object" },
+        },
+        required: ["success", "command"],
+      },
+    },
+    {
+      name: "run_many",
+      description: "Run several commands in parallel (e.g. lint, typecheck and test shards) and return per-command results plus a summary",
+      inputSchema: {
+        type: "object",
+        properties: {
+          commands: {
+            type: "array",
+            description: "Commands to run, as strings or objects. Top-level cwd, timeout, shell, env, env_file, inherit_env and limits are defaults for each command",
+            items: {
+              anyOf: [
+                { type: "string" },
+                {
+                  type: "object",
+                  properties: {
+                    command: { type: "string", description: "Shell command to execute" },
+                    label: { type: "string", description: "Name used in results and progress messages (default: position in the list, starting at 1)" },
+                    cwd: { type: "string", description: "Working directory" },
+                    timeout: { type: "number", description: "Timeout in milliseconds" },
+                    shell: { type: "string", enum: ["bash", "sh", "zsh", "bash-login"] },
+                    env: { type: "object", additionalProperties: { type: ["string", "null"] }, description: "Environment variables, merged over the top-level env" },
+                    env_file: { type: "string" },
+                    inherit_env: { type: "boolean" },
+                    limits: { type: "object", description: "Resource limits, same as run" },
+                    parse: { type: "string", enum: ["json", "ndjson", "csv", "tsv", "lines"] },
+                    parse_options: { type: "object" },
+                  },
+                  required: ["command"],
+                },
+              ],
+            },
+          },
+          concurrency: {
+            type: "number",
+            description: "Maximum number of commands running at once (default: 4)",
+          },
+          fail_fast: {
+            type: "boolean",
+            description: "Cancel running commands and skip the rest after the first failure (default: false, run all)",
+          },
+          cwd: {
+            type: "string",
+            description: "Default working directory",
+          },
+          timeout: {
+            type: "number",
+            description: "Default timeout per command in milliseconds (default: 30000)",
+          },
+          max_output: {
+            type: "number",
+            description: "Maximum response size in bytes (default and maximum: BASH_MCP_MAX_OUTPUT_SIZE), shared by all commands' stdout and stderr",
+          },
+          shell: {
+            type: "string",
+            enum: ["bash", "sh", "zsh", "bash-login"],
+            description: "Default shell",
+          },
+          env: {
+            type: "object",
+            additionalProperties: { type: ["string", "null"] },
+            description: "Environment variables for every command",
+          },
+          env_file: {
+            type: "string",
+            description: "Default dotenv file, relative to each command's cwd",
+          },
+          inherit_env: {
+            type: "boolean",
+            description: "Inherit the server's filtered environment (default: true)",
+          },
+          limits: {
+            type: "object",
+            description: "Default resource limits, same as run",
+          },
+        },
+        required: ["commands"],
+      },
+      outputSchema: {
+        type: "object",
+        properties: {
+          success: { type: "boolean", description: "True when every command succeeded" },
+          error: { type: "string" },
+          cancelled: { type: "boolean" },
+          summary: {
+            type: "object",
+            properties: {
+              total: { type: "number" },
+              succeeded: { type: "number" },
+              failed: { type: "number" },
+              cancelled: { type: "number" },
+              skipped: { type: "number" },
+              durationMs: { type: "number" },
+            },
+          },
+          results: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                label: { type: "string" },
+                command: { type: "string" },
+                success: { type: "boolean" },
+                code: { type: ["number", "string", "null"] },
+                signal: { type: ["string", "null"] },
+                durationMs: { type: "number" },
+                stdout: { type: "string" },
+                stderr: { type: "string" },
+                error: { type: "string" },
+                overflow: { type: "boolean" },
+                details: { type: "object" },
+                skipped: { type: "boolean" },
+                cancelled: { type: "boolean" },
+                rejected: { type: "boolean" },
+              },
+            },
+          },
+          truncated: { type: "boolean" },
+          redactions: { type: "number" },
+        },
+        required: ["success"],
+      },
+    },
+    {
+      name: "run_background",
+      description: "Run a command in background",
+      inputSchema: {
+        type: "object",
+        properties: {
+          command: {
+            type: "string",
+            description: "Command to run in background",
+          },
+          name: {
+            type: "string",
+            description: "Unique name for this background process",
+          },
+          cwd: {
+            type: "string",
+            description: "Working directory (optional)",
+          },
+          stdin: {
+            type: "boolean",
+            description: "Open stdin as a pipe so input can be sent with write_background_stdin/expect_background (default: false)",
+          },
+          shell: {
+            type: "string",
+            enum: ["bash", "sh", "zsh", "bash-login"],
+            description: "Shell that runs the command (default: BASH_MCP_DEFAULT_SHELL or bash). bash-login runs bash -l so profile files are loaded",
+          },
+          env: {
+            type: "object",
+            additionalProperties: { type: ["string", "null"] },
+            description: "Environment variables to set (merged over the inherited environment; null removes a variable)",
+          },
+          env_file: {
+            type: "string",
+            description: "dotenv file (KEY=VALUE lines) to load, relative to cwd. Applied before env",
+          },
+          inherit_env: {
+            type: "boolean",
+            description: "Inherit the server's environment, filtered by BASH_MCP_ENV_ALLOW/BASH_MCP_ENV_DENY (default: true). When false only basic variables such as PATH, HOME and LANG are kept",
+          },
+          limits: {
+            type: "object",
+            description: "Resource limits for this command (Linux only, overrides server defaults)",
+            properties: {
+              cpu_seconds: { type: "number", description: "Maximum CPU time in seconds" },
+              memory_mb: { type: "number", description: "Maximum address space in MB (actual memory with cgroup)" },
+              file_size_mb: { type: "number", description: "Maximum size of files the command may write, in MB" },
+              max_processes: { type: "number", description: "Maximum number of processes (counted per user by the kernel; per command with cgroup)" },
+              nice: { type: "number", description: "Nice level (scheduling priority)" },
+              cgroup: { type: "boolean", description: "Also run inside a cgroup v2 scope via systemd-run when available" },
+            },
+          },
+          restart: {
+            type: "string",
+            enum: ["never", "on-failure", "always"],
+            description: "Restart policy when the process exits: never, on-failure (non-zero exit, signal or failed health check) or always (default: never, or on-failure when health_check is set)",
+          },
+          max_restarts: {
+            type: "number",
+            description: "Maximum number of restarts (default: 5)",
+          },
+          restart_delay: {
+            type: "number",
+            description: "Delay before the first restart in milliseconds, doubled on each consecutive restart (default: 1000)",
+          },
+          max_restart_delay: {
+            type: "number",
+            description: "Upper bound of the restart delay in milliseconds; a process that ran at least this long starts again from restart_delay (default: 30000)",
+          },
+          health_check: {
+            type: "object",
+            description: "Periodic health check; after 'retries' consecutive failures the process is marked unhealthy and restarted unless restart is 'never'",
+            properties: {
+              command: { type: "string", description: "Command that must exit with code 0 (runs in the process's cwd and environment)" },
+              port: { type: "number", description: "TCP port that must accept connections" },
+              host: { type: "string", description: "Host for the port check (default: 127.0.0.1)" },
+              url: { type: "string", description: "HTTP(S) URL that must respond with a 2xx status" },
+              status: { type: "number", description: "Exact HTTP status expected from url" },
+              interval: { type: "number", description: "Milliseconds between checks (default: 10000)" },
+              timeout: { type: "number", description: "Timeout of a single check in milliseconds (default: 5000)" },
+              retries: { type: "number", description: "Consecutive failures before the process is unhealthy (default: 3)" },
+              start_period: { type: "number", description: "Milliseconds to wait after start before the first check (default: interval)" },
+            },
+          },
+        },
+        required: ["command", "name"],
+      },
+    },
+    {
+      name: "kill_background",
+      description: "Kill a background process and all of its child processes by name. Supervised processes are not restarted, and a pending restart is cancelled",
+      inputSchema: {
+        type: "object",
+        properties: {
+          name: {
+            type: "string",
+            description: "Name of the background process to kill",
+          },
+          signal: {
+            type: "string",
+            description: "Signal name (e.g. SIGINT, SIGHUP) sent to the whole process tree first (default: SIGTERM)",
+          },
+          grace_period: {
+            type: "number",
+            description: "Milliseconds to wait before sending SIGKILL to remaining processes (default: 5000)",
+          },
+        },
+        required: ["name"],
+      },
+    },
+    {
+      name: "list_background",
+      description: "List background processes, including recently finished ones. Running processes include resource usage of their process tree (CPU% since start, RSS, threads, open files, child PIDs, listening ports) on Linux",
+      inputSchema: {
+        type: "object",
+        properties: {
+          status: {
+            type: "string",
+            enum: ["all", "running", "restarting", "exited", "failed"],
+            description: "Filter by status: running, restarting (waiting to be restarted by its restart policy), exited (finished for any reason), failed (non-zero exit, signal or spawn error) or all (default)",
+          },
+        },
+      },
+    },
+    {
+      name: "get_background_status",
+      description: "Get the status of a single background process, including exit code, signal, timing and log locations after it has finished",
+      inputSchema: {
+        type: "object",
+        properties: {
+          name: {
+            type: "string",
+            description: "Name of the background process",
+          },
+        },
+        required: ["name"],
+      },
+    },
+    {
+      name: "inspect_background",
+      description: "Inspect the resource usage of a running background process tree (Linux): CPU%, RSS, threads, open file descriptors, child PIDs and listening TCP/UDP ports, with a per-process breakdown",
+      inputSchema: {
+        type: "object",
+        properties: {
+          name: {
+            type: "string",
+            description: "Name of the background process",
+          },
+          sample_ms: {
+            type: "number",
+            description: "Sample over this many milliseconds (max 60000) and report CPU% averaged over the window, per-sample figures and peak RSS. Without it CPU% is the average since each process started (default: 0)",
+          },
+          samples: {
+            type: "number",
+            description: "Number of samples taken during sample_ms (default: 5)",
+          },
+        },
+        required: ["name"],
+      },
+    },
+    {
+      name: "write_background_stdin",
+      description: "Write text to the stdin of a background process started with stdin: true",
+      inputSchema: {
+        type: "object",
+        properties: {
+          name: {
+            type: "string",
+            description: "Name of the background process",
+          },
+          text: {
+            type: "string",
+            description: "Text to write (optional when only closing stdin)",
+          },
+          newline: {
+            type: "boolean",
+            description: "Append a newline after the text (default: true)",
+          },
+          close: {
+            type: "boolean",
+            description: "Close stdin (send EOF) after writing (default: false)",
+          },
+        },
+        required: ["name"],
+      },
+    },
+    {
+      name: "expect_background",
+      description: "Optionally write input to a background process, then return the output it produces until a regex matches, the process exits or the timeout elapses",
+      inputSchema: {
+        type: "object",
+        properties: {
+          name: {
+            type: "string",
+            description: "Name of the background process",
+          },
+          input: {
+            type: "string",
+            description: "Text to write to stdin before waiting (optional)",
+          },
+          newline: {
+            type: "boolean",
+            description: "Append a newline after the input (default: true)",
+          },
+          pattern: {
+            type: "string",
+            description: "Regular expression to wait for in the new output (e.g. a prompt like '\\$ $' or 'password:')",
+          },
+          stream: {
+            type: "string",
+            enum: ["stdout", "stderr", "both"],
+            description: "Output stream to watch (default: both)",
+          },
+          timeout: {
+            type: "number",
+            description: "Timeout in milliseconds (default: 10000)",
+          },
+        },
+        required: ["name"],
+      },
+    },
+    {
+      name: "wait_for",
+      description: "Wait until a background process is ready: its output matches a regex, a TCP port accepts connections, an HTTP URL returns a status, a file exists, or the process exits. Returns the condition that fired",
+      inputSchema: {
+        type: "object",
+        properties: {
+          name: {
+            type: "string",
+            description: "Name of the background process",
+          },
+          pattern: {
+            type: "string",
+            description: "Regular expression to wait for in the output (output already produced is searched too)",
+          },
+          stream: {
+            type: "string",
+            enum: ["stdout", "stderr", "both"],
+            description: "Output stream to search for pattern (default: both)",
+          },
+          port: {
+            type: "number",
+            description: "TCP port that must accept connections",
+          },
+          host: {
+            type: "string",
+            description: "Host for the port check (default: 127.0.0.1)",
+          },
+          url: {
+            type: "string",
+            description: "HTTP(S) URL to poll",
+          },
+          status: {
+            type: "number",
+            description: "Expected HTTP status for url (default: any 2xx)",
+          },
+          file: {
+            type: "string",
+            description: "File path that must exist",
+          },
+          exit: {
+            type: "boolean",
+            description: "Wait for the process to exit",
+          },
+          timeout: {
+            type: "number",
+            description: "Timeout in milliseconds (default: 30000)",
+          },
+          interval: {
+            type: "number",
+            description: "Polling interval in milliseconds for port, url and file checks (default: 500)",
+          },
+        },
+        required: ["name"],
+      },
+    },
+    {
+      name: "read_background_output",
+      description: "Read the full output log of a background process. Without line options, reads a byte range (use nextOffset to page). With line, max_lines, tail or grep, reads by lines",
+      inputSchema: {
+        type: "object",
+        properties: {
+          name: {
+            type: "string",
+            description: "Name of the background process",
+          },
+          stream: {
+            type: "string",
+            enum: ["stdout", "stderr", "interleaved"],
+            description: "Log to read: stdout, stderr, or both interleaved with timestamps (default: stdout)",
+          },
+          offset: {
+            type: "number",
+            description: "Byte offset to start reading from (default: 0)",
+          },
+          length: {
+            type: "number",
+            description: "Maximum number of bytes to return (default and maximum: slightly below BASH_MCP_MAX_OUTPUT_SIZE)",
+          },
+          line: {
+            type: "number",
+            description: "Number of lines to skip before reading (line mode)",
+          },
+          max_lines: {
+            type: "number",
+            description: "Maximum number of lines to return (line mode, default: 200)",
+          },
+          tail: {
+            type: "number",
+            description: "Return only the last N lines (after grep filtering)",
+          },
+          grep: {
+            type: "string",
+            description: "Regular expression; only matching lines are returned, prefixed with their line number",
+          },
+        },
+        required: ["name"],
+      },
+    },
+    {
+      name: "audit_query",
+      description: "Search the audit log of executed commands by time range, command regex, tool or exit status",
+      inputSchema: {
+        type: "object",
+        properties: {
+          since: {
+            type: "string",
+            description: "Start of the time range: ISO date or relative duration such as '30m', '2h', '1d'",
+          },
+          until: {
+            type: "string",
+            description: "End of the time range: ISO date or relative duration",
+          },
+          command: {
+            type: "string",
+            description: "Regular expression matched against the command",
+          },
+          tool: {
+            type: "string",
+            description: "Tool name (e.g. run, run_background, session_run, kill_background)",
+          },
+          exit_code: {
+            type: "number",
+            description: "Exact exit code",
+          },
+          status: {
+            type: "string",
+            enum: ["success", "failure"],
+            description: "Only successful or only failed entries",
+          },
+          limit: {
+            type: "number",
+            description: "Maximum number of most recent entries to return (default: 50)",
+          },
+        },
+      },
+    },
+    {
+      name: "session_start",
+      description: "Start a persistent shell session that keeps cwd, environment variables and shell state between commands",
+      inputSchema: {
+        type: "object",
+        properties: {
+          name: {
+            type: "string",
+            description: "Unique name for this session (optional, generated if omitted)",
+          },
+          cwd: {
+            type: "string",
+            description: "Initial working directory (optional)",
+          },
+        },
+      },
+    },
+    {
+      name: "session_run",
+      description: "Execute a command in a persistent shell session",
+      inputSchema: {
+        type: "object",
+        properties: {
+          session: {
+            type: "string",
+            description: "Name of the session",
+          },
+          command: {
+            type: "string",
+            description: "Shell command to execute",
+          },
+          timeout: {
+            type: "number",
+            description: "Timeout in milliseconds (default: 30000). The session is terminated when the timeout elapses",
+          },
+        },
+        required: ["session", "command"],
+      },
+    },
+    {
+      name: "session_close",
+      description: "Close a persistent shell session",
+      inputSchema: {
+        type: "object",
+        properties: {
+          session: {
+            type: "string",
+            description: "Name of the session to close",
+          },
+        },
+        required: ["session"],
+      },
+    },
+    {
+      name: "session_list",
+      description: "List all open shell sessions",
+      inputSchema: {
+        type: "object",
+        properties: {},
+      },
+    },
+    {
+      name: "schedule_job",
+      description: "Run a command repeatedly on an interval or cron schedule inside the server, e.g. a health check every 30s or a cleanup at 02:00",
+      inputSchema: {
+        type: "object",
+        properties: {
+          name: {
+            type: "string",
+            description: "Unique name for the job",
+          },
+          command: {
+            type: "string",
+            description: "Shell command to execute on each run",
+          },
+          interval: {
+            type: "number",
+            description: "Run every N milliseconds (minimum: 1000). The first run happens one interval after scheduling",
+          },
+          cron: {
+            type: "string",
+            description: "5-field cron expression in the server's local time (minute hour day-of-month month day-of-week), e.g. '0 2 * * *', '*/15 9-17 * * mon-fri', or @hourly/@daily/@weekly/@monthly/@yearly",
+          },
+          overlap: {
+            type: "string",
+            enum: ["skip", "queue", "kill"],
+            description: "What to do when a run is due while the previous one is still running: skip this run (default), queue it until the previous one finishes (at most one queued run), or kill the previous run and start a new one",
+          },
+          cwd: {
+            type: "string",
+            description: "Working directory (optional)",
+          },
+          timeout: {
+            type: "number",
+            description: "Timeout per run in milliseconds (default: 30000)",
+          },
+          shell: {
+            type: "string",
+            enum: ["bash", "sh", "zsh", "bash-login"],
+            description: "Shell that runs the command (default: BASH_MCP_DEFAULT_SHELL or bash)",
+          },
+          env: {
+            type: "object",
+            additionalProperties: { type: ["string", "null"] },
+            description: "Environment variables to set (merged over the inherited environment; null removes a variable)",
+          },
+          env_file: {
+            type: "string",
+            description: "dotenv file (KEY=VALUE lines) to load on each run, relative to cwd. Applied before env",
+          },
+          inherit_env: {
+            type: "boolean",
+            description: "Inherit the server's filtered environment (default: true)",
+          },
+          limits: {
+            type: "object",
+            description: "Resource limits for each run, same as run",
+          },
+        },
+        required: ["name", "command"],
+      },
+    },
+    {
+      name: "list_jobs",
+      description: "List scheduled jobs with their schedule, next run time and last result",
+      inputSchema: {
+        type: "object",
+        properties: {},
+      },
+    },
+    {
+      name: "cancel_job",
+      description: "Cancel a scheduled job so it no longer runs",
+      inputSchema: {
+        type: "object",
+        properties: {
+          name: {
+            type: "string",
+            description: "Name of the job",
+          },
+          kill_running: {
+            type: "boolean",
+            description: "Also kill the run in progress, if any (default: true). When false the run in progress is left to finish",
+          },
+        },
+        required: ["name"],
+      },
+    },
+    {
+      name: "job_history",
+      description: "Show the recent runs of a scheduled job with exit code, duration and truncated output",
+      inputSchema: {
+        type: "object",
+        properties: {
+          name: {
+            type: "string",
+            description: "Name of the job",
+          },
+          limit: {
+            type: "number",
+            description: "Maximum number of most recent runs to return (default: all kept, BASH_MCP_JOB_HISTORY_SIZE)",
+          },
+          status: {
+            type: "string",
+            enum: ["all", "success", "failed", "skipped"],
+            description: "Filter runs by result (default: all)",
+          },
+        },
+        required: ["name"],
+      },
+    },
+  ];
+
+  // ===== 사용자 정의 도구 =====
+  // BASH_MCP_TOOLS_FILE(JSON 또는 YAML)에 선언된 이름 있는 명령 도구
+  // 매개변수는 JSON 스키마로 검사하고 명령 템플릿의 {{name}}에 셸 이스케이프해서 대입
+  // 파일이 바뀌면 다시 읽고 연결된 클라이언트에 tools/list_changed 알림
+
+  const TOOLS_FILE = options.toolsFile || settings.BASH_MCP_TOOLS_FILE;
+
+  // 파일 변경 확인 주기 (기본값 2초, 0이면 감시하지 않음)
+  const TOOLS_FILE_POLL_INTERVAL = parseInt(settings.BASH_MCP_TOOLS_FILE_POLL_INTERVAL || '2000', 10);
+
+  // 사용자 정의 도구 (도구 이름 -> 정의)
+  let customTools = new Map();
+
+  const CUSTOM_TOOL_PARAM_TYPES = ['string', 'number', 'integer', 'boolean', 'array'];
+
+  // 템플릿 구문: {{name}} 값 대입, {{#name}}...{{/name}} 값이 있을 때만, {{^name}}...{{/name}} 값이 없을 때만 포함
+  const TEMPLATE_SECTION = /\{\{([#^])\s*([\w-]+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/g;
+  const TEMPLATE_VARIABLE = /\{\{\s*([\w-]+)\s*\}\}/g;
+
+  // 템플릿에서 {{name}}으로 참조한 변수 이름 목록
+  function templateVariables(template) {
+    const names = new Set();
+    for (const match of template.matchAll(/\{\{\s*[#^/]?\s*([\w-]+)\s*\}\}/g)) {
+      names.add(match[1]);
+    }
+    return names;
+  }
+
+  // 섹션 조건에서 값이 있다고 보는 경우 (false, null, 빈 문자열, 빈 배열은 없음)
+  function hasTemplateValue(value) {
+    return value !== undefined && value !== null && value !== false && value !== '' && !(Array.isArray(value) && value.length === 0);
+  }
+
+  // 템플릿에 인자를 대입해 명령 문자열 생성 (모든 값은 셸에서 하나의 단어로 해석되도록 따옴표 처리, 배열은 원소별로)
+  function renderCommandTemplate(template, values) {
+    const quote = (value) => {
+      if (!hasTemplateValue(value) && value !== false) {
+        return '';
+      }
+      return Array.isArray(value) ? value.map(shellQuote).join(' ') : shellQuote(value);
+    };
+    let previous;
+    let text = template;
+    // 섹션 안에 다른 섹션이 있을 수 있으므로 더 바뀌지 않을 때까지 반복
+    do {
+      previous = text;
+      text = text.replace(TEMPLATE_SECTION, (match, kind, name, inner) => (hasTemplateValue(values[name]) === (kind === '#') ? inner : ''));
+    } while (text !== previous);
+    return text.replace(TEMPLATE_VARIABLE, (match, name) => quote(values[name]));
+  }
+
+  // 매개변수 값 하나를 스키마로 검사 (지원: type, enum, pattern, minLength, maxLength, minimum, maximum, items, minItems, maxItems)
+  function validateParameter(name, value, schema) {
+    const type = schema.type;
+    const typeMatches = {
+      string: typeof value === 'string',
+      number: typeof value === 'number' && Number.isFinite(value),
+      integer: Number.isInteger(value),
+      boolean: typeof value === 'boolean',
+      array: Array.isArray(value),
+    };
+    if (type && !typeMatches[type]) {
+      return `'${name}' must be ${type === 'integer' ? 'an' : 'a'} ${type}`;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      return `'${name}' must be one of: ${schema.enum.join(', ')}`;
+    }
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        return `'${name}' must be at least ${schema.minLength} characters`;
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        return `'${name}' must be at most ${schema.maxLength} characters`;
+      }
+      if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+        return `'${name}' must match pattern ${schema.pattern}`;
+      }
+    }
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        return `'${name}' must be >= ${schema.minimum}`;
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        return `'${name}' must be <= ${schema.maximum}`;
+      }
+    }
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        return `'${name}' must have at least ${schema.minItems} items`;
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        return `'${name}' must have at most ${schema.maxItems} items`;
+      }
+      for (let index = 0; index < value.length; index++) {
+        const error = validateParameter(`${name}[${index}]`, value[index], schema.items || {});
+        if (error) {
+          return error;
+        }
+      }
+    }
+    return null;
+  }
+
+  // 도구 인자 검사 후 기본값을 채운 값 반환 ({ values } 또는 { error })
+  // 선언되지 않은 인자는 거부
+  function validateToolArguments(tool, args = {}) {
+    const { properties, required } = tool.inputSchema;
+    const unknown = Object.keys(args).filter((key) => !properties[key]);
+    if (unknown.length > 0) {
+      return { error: `Unknown parameter${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}` };
+    }
+    const values = {};
+    for (const [name, schema] of Object.entries(properties)) {
+      const value = args[name] !== undefined ? args[name] : schema.default;
+      if (value === undefined || value === null) {
+        if (required.includes(name)) {
+          return { error: `Missing required parameter '${name}'` };
+        }
+        continue;
+      }
+      const error = validateParameter(name, value, schema);
+      if (error) {
+        return { error };
+      }
+      values[name] = value;
+    }
+    return { values };
+  }
+
+  // 도구 정의 하나를 검사하고 정규화
+  function compileCustomTool(definition, index, builtinNames) {
+    const label = definition && definition.name ? `'${definition.name}'` : `#${index + 1}`;
+    if (!definition || typeof definition.name !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(definition.name)) {
+      throw new Error(`Tool ${label}: name must be 1-64 letters, digits, '_' or '-'`);
+    }
+    if (builtinNames.has(definition.name)) {
+      throw new Error(`Tool ${label}: name conflicts with a built-in tool`);
+    }
+    if (typeof definition.command !== 'string' || !definition.command.trim()) {
+      throw new Error(`Tool ${label}: command template is required`);
+    }
+
+    const parameters = definition.parameters || {};
+    const properties = parameters.properties || {};
+    const required = parameters.required || [];
+    for (const [name, schema] of Object.entries(properties)) {
+      if (!/^[\w-]+$/.test(name)) {
+        throw new Error(`Tool ${label}: invalid parameter name '${name}'`);
+      }
+      if (schema.type && !CUSTOM_TOOL_PARAM_TYPES.includes(schema.type)) {
+        throw new Error(`Tool ${label}: parameter '${name}' has unsupported type '${schema.type}' (expected one of: ${CUSTOM_TOOL_PARAM_TYPES.join(', ')})`);
+      }
+      if (schema.type === 'array' && schema.items && schema.items.type && !['string', 'number', 'integer', 'boolean'].includes(schema.items.type)) {
+        throw new Error(`Tool ${label}: items of parameter '${name}' must be strings, numbers or booleans`);
+      }
+      if (schema.pattern) {
+        new RegExp(schema.pattern, 'u');
+      }
+    }
+    for (const name of required) {
+      if (!properties[name]) {
+        throw new Error(`Tool ${label}: required parameter '${name}' is not declared`);
+      }
+    }
+    for (const name of templateVariables(definition.command)) {
+      if (!properties[name]) {
+        throw new Error(`Tool ${label}: template uses undeclared parameter '${name}'`);
+      }
+    }
+
+    return {
+      name: definition.name,
+      description: definition.description || `Run: ${definition.command}`,
+      command: definition.command,
+      inputSchema: { type: 'object', properties, required, additionalProperties: false },
+      options: {
+        cwd: definition.cwd,
+        timeout: definition.timeout || 30000,
+        shell: definition.shell,
+        env: definition.env,
+        env_file: definition.env_file,
+        inherit_env: definition.inherit_env,
+        limits: definition.limits,
+      },
+      maxOutput: Math.min(definition.max_output > 0 ? definition.max_output : MAX_OUTPUT_SIZE, MAX_OUTPUT_SIZE),
+    };
+  }
+
+  // 도구 설정 파일 읽기 (형식: { tools: [{ name, description, command, parameters, cwd, timeout, ... }] })
+  function loadCustomTools(filePath) {
+    const config = loadConfigFile(filePath);
+    const definitions = Array.isArray(config) ? config : config.tools || [];
+    const builtinNames = new Set(BUILTIN_TOOLS.map((tool) => tool.name));
+    const tools = new Map();
+    definitions.forEach((definition, index) => {
+      const tool = compileCustomTool(definition, index, builtinNames);
+      if (tools.has(tool.name)) {
+        throw new Error(`Tool '${tool.name}' is declared more than once`);
+      }
+      if (definition.shell) {
+        resolveShell(definition.shell);
+      }
+      tools.set(tool.name, tool);
+    });
+    return tools;
+  }
+
+  // 설정 파일을 다시 읽고 연결된 모든 클라이언트에 도구 목록 변경 알림 (실패하면 기존 도구 유지)
+  function reloadCustomTools() {
+    if (!TOOLS_FILE) {
+      return false;
+    }
+    try {
+      customTools = loadCustomTools(TOOLS_FILE);
+    } catch (error) {
+      console.error(`Failed to reload BASH_MCP_TOOLS_FILE: ${TOOLS_FILE} (keeping ${customTools.size} previously loaded tools):`, error.message);
+      return false;
+    }
+    console.error(`Reloaded ${customTools.size} custom tools from ${TOOLS_FILE}`);
+    for (const server of servers) {
+      server.sendToolListChanged().catch(() => {});
+    }
+    return true;
+  }
+
+  // 처음 로드에 실패하면 서버 생성 실패 (정책 파일과 같은 방식)
+  const onToolsFileChange = (current, previous) => {
+    if (current.mtimeMs !== previous.mtimeMs || current.size !== previous.size) {
+      reloadCustomTools();
+    }
+  };
+  if (TOOLS_FILE) {
+    try {
+      customTools = loadCustomTools(TOOLS_FILE);
+    } catch (error) {
+      throw new Error(`Failed to load BASH_MCP_TOOLS_FILE: ${TOOLS_FILE}: ${error.message}`);
+    }
+    console.error(`Loaded ${customTools.size} custom tools from ${TOOLS_FILE}`);
+    if (TOOLS_FILE_POLL_INTERVAL > 0) {
+      // 편집기가 파일을 새로 만들어 바꾸는 경우에도 동작하도록 수정 시각을 주기적으로 확인
+      watchFile(TOOLS_FILE, { interval: TOOLS_FILE_POLL_INTERVAL }, onToolsFileChange).unref();
+    }
+  }
+
+  // 사용자 정의 도구 실행: 인자 검사 -> 템플릿 대입 -> run과 같은 executeCommand 흐름
+  async function executeCustomTool(tool, args, context) {
+    const { values, error } = validateToolArguments(tool, args || {});
+    if (error) {
+      return { success: false, error: `Invalid arguments for ${tool.name}: ${error}`, stdout: "", stderr: "", command: tool.command };
+    }
+    const command = renderCommandTemplate(tool.command, values);
+    return executeCommand(tool.name, { ...tool.options, command, outputLimit: tool.maxOutput }, context);
+  }
+
+  // 도구 목록 (기본 도구 + 사용자 정의 도구)
+  const handleListTools = async () => ({
+    tools: [
+      ...BUILTIN_TOOLS,
+      ...Array.from(customTools.values()).map(({ name, description, inputSchema }) => ({ name, description, inputSchema })),
+    ],
+  });
+
+  // run_script에서 지원하는 인터프리터
+  // kind는 strict 모드와 실패한 줄 번호 찾기 방식을 결정
+  const SCRIPT_INTERPRETERS = {
+    bash: { argv: ['bash'], extension: 'sh', kind: 'bash' },
+    sh: { argv: ['sh'], extension: 'sh', kind: 'sh' },
+    python3: { argv: ['python3'], extension: 'py', kind: 'python' },
+    node: { argv: ['node'], extension: 'js', kind: 'node' },
+  };
+
+  // bash strict 모드에서 ERR trap이 stderr에 남기는 실패 줄 표시
+  const SCRIPT_ERROR_MARKER = '__BASH_MCP_ERR_LINE__';
+
+  // shebang 줄(#!/usr/bin/env python3 등)의 프로그램 이름으로 인터프리터 종류 추정
+  function interpreterKind(argv) {
+    const program = basename(argv[0]) === 'env' ? argv.find((arg, index) => index > 0 && !arg.startsWith('-')) : argv[0];
+    const name = basename(program || '');
+    if (name === 'bash') return 'bash';
+    if (name === 'sh' || name === 'dash') return 'sh';
+    if (/^python[\d.]*$/.test(name)) return 'python';
+    if (name === 'node' || name === 'nodejs') return 'node';
+    return 'other';
+  }
+
+  // interpreter 인자(또는 스크립트의 shebang)를 실행할 argv로 변환
+  // 지정하지 않으면 스크립트 첫 줄의 shebang을 사용하고, 없으면 bash로 실행
+  function resolveScriptInterpreter(interpreter, script) {
+    if (!interpreter) {
+      const firstLine = script.split('\n', 1)[0];
+      interpreter = firstLine.startsWith('#!') ? firstLine : 'bash';
+    }
+
+    if (interpreter.startsWith('#!')) {
+      const argv = interpreter.slice(2).trim().split(/\s+/).filter(Boolean);
+      if (argv.length === 0) {
+        throw new Error('Empty shebang interpreter');
+      }
+      const kind = interpreterKind(argv);
+      const extensions = { bash: 'sh', sh: 'sh', python: 'py', node: 'js' };
+      return { name: argv.join(' '), argv, extension: extensions[kind] || 'script', kind };
+    }
+
+    const known = SCRIPT_INTERPRETERS[interpreter];
+    if (!known) {
+      throw new Error(`Unknown interpreter '${interpreter}' (expected one of: ${Object.keys(SCRIPT_INTERPRETERS).join(', ')}, or a '#!' shebang line)`);
+    }
+    return { name: interpreter, ...known };
+  }
+
+  // 스크립트 앞에 붙일 한 줄짜리 준비 코드 (strict 모드와 실패 줄 추적)
+  // 줄 번호가 어긋나지 않도록 반드시 한 줄로 유지하고, 보고할 때 1을 뺌
+  function scriptPrelude(kind, strict) {
+    if (!strict) {
+      return null;
+    }
+    if (kind === 'bash') {
+      return `set -Eeuo pipefail; trap 'echo "${SCRIPT_ERROR_MARKER}:$LINENO" >&2' ERR`;
+    }
+    if (kind === 'sh') {
+      return 'set -eu';
+    }
+    return null;
+  }
+
+  // 인터프리터가 stderr에 남긴 메시지에서 스크립트의 실패한 줄 번호 찾기
+  function findFailedLine(kind, stderr, scriptPath) {
+    const path = scriptPath.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const patterns = {
+      bash: { regex: new RegExp(`${path}: line (\\d+):`, 'g'), last: true },
+      sh: { regex: new RegExp(`${path}: (?:line )?(\\d+):`, 'g'), last: true },
+      python: { regex: new RegExp(`File "${path}", line (\\d+)`, 'g'), last: true },
+      node: { regex: new RegExp(`${path}:(\\d+)`, 'g'), last: false },
+    };
+    const pattern = patterns[kind];
+    if (!pattern) {
+      return null;
+    }
+    const matches = [...stderr.matchAll(pattern.regex)];
+    if (matches.length === 0) {
+      return null;
+    }
+    const match = pattern.last ? matches[matches.length - 1] : matches[0];
+    return Number(match[1]);
+  }
+
+  // 스크립트 본문을 TEMP_DIR의 비공개 임시 파일로 저장 (다른 사용자가 읽거나 미리 만들어 둘 수 없게 함)
+  async function writeScriptFile(body, extension) {
+    await tempDirReady;
+    const filePath = join(TEMP_DIR, `bash-mcp-script-${randomBytes(8).toString('hex')}.${extension}`);
+    await writeFile(filePath, body, { encoding: 'utf8', flag: 'wx', mode: 0o600 });
+    return filePath;
+  }
+
+  // run_script 실행: 스크립트를 임시 파일로 저장하고 인터프리터로 실행한 뒤 파일 삭제
+  // 시간 제한, 작업 디렉토리, 출력 잘림 등은 run과 같은 executeCommand 흐름을 사용
+  async function executeScript(tool, { script, interpreter: requestedInterpreter, args: scriptArgs = [], stdin, strict = false, ...options }, context) {
+    let interpreter;
+    try {
+      interpreter = resolveScriptInterpreter(requestedInterpreter, script);
+    } catch (error) {
+      return { success: false, error: error.message, stdout: "", stderr: "", command: requestedInterpreter || '' };
+    }
+
+    const prelude = scriptPrelude(interpreter.kind, strict);
+    const lineOffset = prelude ? 1 : 0;
+    const argsText = scriptArgs.map((arg) => shellQuote(String(arg))).join(' ');
+    const command = `${interpreter.name} <script>${argsText ? ` ${argsText}` : ''}`;
+    // 셸 스크립트는 본문을, 그 외에는 인터프리터 실행 줄을 정책으로 검사
+    const policyCommand = interpreter.kind === 'bash' || interpreter.kind === 'sh' ? script : command;
+
+    let scriptPath;
+    try {
+      scriptPath = await writeScriptFile(prelude ? `${prelude}\n${script}` : script, interpreter.extension);
+    } catch (error) {
+      return { success: false, error: `Failed to write script file: ${error.message}`, stdout: "", stderr: "", command };
+    }
+
+    // 실행 권한 없이도 실행되도록 인터프리터에 파일 경로를 인자로 전달
+    const execCommand = ['exec', ...interpreter.argv, scriptPath, ...scriptArgs.map(String)].map((arg, index) => index === 0 ? arg : shellQuote(arg)).join(' ');
+
+    const markerPattern = new RegExp(`^${SCRIPT_ERROR_MARKER}:(\\d+)\\n?`, 'gm');
+    const processStderr = (stderr, error) => {
+      let markerLine = null;
+      if (interpreter.kind === 'bash' && prelude) {
+        stderr = stderr.replace(markerPattern, (line, number) => {
+          markerLine = Number(number);
+          return '';
+        });
+      }
+      const fields = { interpreter: interpreter.name };
+      if (error) {
+        const line = markerLine !== null ? markerLine : findFailedLine(interpreter.kind, stderr, scriptPath);
+        if (line !== null && line > lineOffset) {
+          fields.failedLine = line - lineOffset;
+        }
+      }
+      return { stderr, fields };
+    };
+
+    try {
+      const data = await executeCommand(tool, { ...options, command, shell: 'sh' }, context, {
+        execCommand,
+        policyCommand,
+        input: stdin,
+        readOnlyPaths: [scriptPath],
+        processStderr,
+        script,
+      });
+      // 에러 메시지에 포함된 stderr에서도 실패 줄 표시 제거
+      if (typeof data.error === 'string') {
+        data.error = data.error.replace(markerPattern, '');
+      }
+      return data;
+    } finally {
+      await unlink(scriptPath).catch(() => {});
+    }
+  }
+
+  // 클라이언트 인자에서 문서화된 필드만 골라 실행 옵션으로 사용 (내부 옵션은 startCommand의 internal로만 전달)
+  const COMMAND_OPTIONS = ['command', 'cwd', 'timeout', 'limits', 'parse', 'parse_options', 'shell', 'env', 'env_file', 'inherit_env'];
+  const SCRIPT_OPTIONS = ['script', 'interpreter', 'args', 'stdin', 'strict', 'cwd', 'timeout', 'env', 'env_file', 'inherit_env'];
+  // run_many는 최상위 공통 기본값과 명령별 필드를 따로 고름
+  const MANY_OPTIONS = ['commands', 'concurrency', 'fail_fast', 'cwd', 'timeout', 'shell', 'env', 'env_file', 'inherit_env', 'limits'];
+  const MANY_ITEM_OPTIONS = [...COMMAND_OPTIONS, 'label'];
+
+  function pickOptions(args, keys) {
+    const picked = {};
+    for (const key of keys) {
+      if (args && args[key] !== undefined) {
+        picked[key] = args[key];
+      }
+    }
+    return picked;
+  }
+
+  // run 계열 도구의 공통 실행 흐름
+  // 작업 루트와 정책 확인 -> 샌드박스/리소스 제한 적용 -> 실행 -> 비밀값 가리기 -> 파싱 -> 잘림 -> 감사 기록
+  // 거부, 취소, 실패를 포함해 항상 응답 데이터를 반환 (formatResponse 전)
+  async function executeCommand(tool, options, context = {}, internal = {}) {
+    const started = await startCommand(tool, options, context, internal);
+    if (started.data) {
+      return started.data;
+    }
+    const { outputLimit = MAX_OUTPUT_SIZE } = options;
+    return started.finish(splitOutputBudget(outputLimit, started.stdout, started.stderr), context);
+  }
+
+  // 명령을 실행하고 잘림 전 단계까지 처리
+  // 거부/취소되면 { data }, 그 외에는 잘리기 전 출력과 finish(출력별 바이트 한도, { signal })를 반환
+  // 여러 명령이 하나의 응답 크기를 나눠 쓸 때(run_many) 모든 출력이 모인 뒤 한도를 정할 수 있도록 분리
+  // options는 도구 인자에서 온 값, internal은 서버 코드만 넘기는 값 (클라이언트 인자와 섞지 않음)
+  // internal.execCommand: 실제 실행할 명령 (기본값 command), internal.policyCommand: 정책 검사 대상 (기본값 command)
+  // internal.input: stdin으로 보낼 내용, internal.readOnlyPaths: 샌드박스 안에서 읽을 수 있어야 하는 추가 경로
+  // internal.processStderr: 잘림 전에 stderr를 가공하고 응답에 필드를 추가하는 함수 ({ stderr, fields } 반환)
+  // internal.script: run_script의 스크립트 본문 (훅에 전달하고 감사 로그에 해시와 함께 기록)
+  // internal.roots: 현재 작업 루트 대신 확인할 루트 (예약 작업이 등록 시점의 루트로 실행할 때)
+  async function startCommand(tool, {
+    command,
+    cwd: requestedCwd,
+    timeout = 30000,
+    limits,
+    parse,
+    parse_options,
+    outputLimit = MAX_OUTPUT_SIZE,
+    shell,
+    env,
+    env_file,
+    inherit_env,
+  }, { signal, onOutput } = {}, {
+    roots,
+    execCommand = command,
+    policyCommand = command,
+    input,
+    readOnlyPaths = [],
+    processStderr,
+    script,
+  } = {}) {
+    const auditFields = { script: scriptAuditInfo(script) };
+    const hookFields = script !== undefined ? { script } : {};
+    const rootCheck = await checkRoots(requestedCwd, roots);
+    if (!rootCheck.allowed) {
+      return { data: rootsRejectedData(rootCheck, command, tool, auditFields) };
+    }
+    const cwd = rootCheck.cwd;
+
+    const decision = evaluatePolicy(tool, policyCommand, cwd);
+    if (!decision.allowed) {
+      return { data: policyDeniedData(decision, command, tool, cwd, auditFields) };
+    }
+
+    const blocked = await runBeforeExecute({ tool, command, ...hookFields, cwd });
+    if (blocked) {
+      return { data: blocked };
+    }
+
+    const startedAt = Date.now();
+    let limited = { command, applied: null, warnings: [] };
+    let sandbox = null;
+    let result;
+    let error = null;
+
+    try {
+      sandbox = buildSandbox(rootCheck.roots, cwd, { readOnlyPaths });
+      const sandboxed = applySandbox(execCommand, resolveShell(shell), sandbox);
+      limited = applyResourceLimits(sandboxed.command, resolveLimits(limits), sandboxed.shell);
+
+      result = await runCommand(limited.command, {
+        cwd,
+        timeout,
+        maxBuffer: 10 * 1024 * 1024, // 10MB
+        displayCommand: command,
+        shell: limited.shell,
+        env: buildCommandEnv({ env, env_file, inherit_env, cwd }),
+        input,
+        onOutput,
+        signal,
+      });
+    } catch (caught) {
+      error = caught;
+      result = { stdout: caught.stdout || "", stderr: caught.stderr || "" };
+    }
+
+    // 취소된 경우 overflow 파일을 만들지 않고 기록만 남김
+    if ((error && error.cancelled) || (signal && signal.aborted)) {
+      auditCommand(tool, {
+        command,
+        ...auditFields,
+        cwd,
+        timeout,
+        startedAt,
+        stdout: result.stdout,
+        stderr: result.stderr,
+        success: !error,
+        exitCode: error ? error.code : 0,
+        signal: error ? error.signal : undefined,
+        cancelled: true,
+      });
+      return { data: cancelledData(command) };
+    }
+
+    // 파싱, 잘림, overflow 파일 저장 전에 비밀값 가리기
+    let stderrText = result.stderr.toString();
+    let extraFields = {};
+    if (processStderr) {
+      ({ stderr: stderrText, fields: extraFields } = processStderr(stderrText, error));
+    }
+    const redactedStdout = redactSecrets(result.stdout.toString());
+    const redactedStderr = redactSecrets(stderrText);
+    const redactions = redactedStdout.count + redactedStderr.count;
+
+    // 파싱에 성공하면 원본 stdout 대신 파싱 결과만 응답에 포함 (실패한 명령도 stdout이 있으면 파싱 시도)
+    const parseResult = parse && (!error || redactedStdout.text) ? buildParsedFields(redactedStdout.text, parse, parse_options, outputLimit) : null;
+    const rawStdout = parseResult && parseResult.parsed ? "" : redactedStdout.text;
+    const rawStderr = redactedStderr.text;
+
+    const finish = async ([stdoutLimit, stderrLimit], { signal: finishSignal } = {}) => {
+      const stdoutResult = await truncateOutput(rawStdout, stdoutLimit, error ? 'stdout-error' : 'stdout');
+      const stderrResult = await truncateOutput(rawStderr, stderrLimit, error ? 'stderr-error' : 'stderr');
+
+      // overflow 정보 수집
+      const overflowInfo = buildOverflowInfo(stdoutResult, stderrResult);
+
+      // 출력 저장 중 취소된 경우 저장한 파일 정리
+      if (finishSignal && finishSignal.aborted) {
+        await removeOverflowFiles(stdoutResult, stderrResult);
+        auditCommand(tool, { command, ...auditFields, cwd, timeout, startedAt, stdout: result.stdout, stderr: result.stderr, success: !error, cancelled: true });
+        return cancelledData(command);
+      }
+
+      // 리소스 제한으로 종료되었는지 확인
+      const limitExceeded = error ? detectLimitExceeded(limited.applied, { code: error.code, signal: error.signal, stderr: stderrText }) : null;
+
+      auditCommand(tool, {
+        command,
+        ...auditFields,
+        cwd,
+        timeout,
+        startedAt,
+        stdout: result.stdout,
+        stderr: result.stderr,
+        overflowInfo,
+        success: !error,
+        exitCode: error ? error.code : 0,
+        signal: error ? error.signal : undefined,
+        error: error ? error.message : undefined,
+        limitExceeded: limitExceeded || undefined,
+      });
+
+      const responseData = error
+        ? {
+          success: false,
+          error: error.message,
+          stdout: stdoutResult.content,
+          stderr: stderrResult.content,
+          code: error.code,
+          signal: error.signal,
+          command,
+        }
+        : {
+          success: true,
+          stdout: stdoutResult.content,
+          stderr: stderrResult.content,
+          command,
+        };
+      Object.assign(responseData, parseResult ? parseResult.fields : {}, extraFields, overflowInfo);
+
+      if (redactions > 0) {
+        responseData.redactions = redactions;
+      }
+      if (sandbox) {
+        responseData.sandbox = sandbox.info;
+      }
+      if (limited.applied) {
+        responseData.limits = limited.applied;
+      }
+      if (limited.warnings.length > 0) {
+        responseData.warnings = limited.warnings;
+      }
+      if (limitExceeded) {
+        responseData.limitExceeded = limitExceeded;
+        responseData.error = `${limitExceeded.message}: ${error.message}`;
+      }
+      await runAfterExecute({ tool, command, ...hookFields, cwd, result: responseData });
+      return responseData;
+    };
+
+    return { success: !error, stdout: rawStdout, stderr: rawStderr, finish };
+  }
+
+  // run_many 실행: 여러 명령을 동시에 최대 concurrency개씩 실행하고 명령별 결과와 요약 반환
+  // 최상위 cwd, timeout, shell, env 등은 각 명령의 기본값 (env는 명령별 값과 합침)
+  // fail_fast면 첫 실패 후 실행 중인 명령을 취소하고 남은 명령은 건너뜀
+  // 모든 명령이 끝난 뒤 전체 출력이 하나의 응답 크기 제한을 나눠 쓰도록 잘림 한도를 정함
+  async function executeMany(tool, { commands, concurrency = 4, fail_fast = false, outputLimit = MAX_OUTPUT_SIZE, ...defaults }, { signal, onOutput } = {}) {
+    if (!Array.isArray(commands) || commands.length === 0) {
+      return { success: false, error: "commands must be a non-empty array", results: [] };
+    }
+    const items = commands.map((item, index) => {
+      const entry = typeof item === 'string' ? { command: item } : pickOptions(item, MANY_ITEM_OPTIONS);
+      return { ...entry, label: entry.label || `${index + 1}` };
+    });
+    const invalid = items.find((item) => typeof item.command !== 'string' || !item.command);
+    if (invalid) {
+      return { success: false, error: `Command '${invalid.label}' has no command`, results: [] };
+    }
+
+    // fail_fast 취소와 클라이언트 취소를 하나의 signal로 묶음
+    const batch = new AbortController();
+    const abortBatch = () => batch.abort();
+    if (signal) {
+      if (signal.aborted) {
+        batch.abort();
+      }
+      signal.addEventListener('abort', abortBatch, { once: true });
+    }
+
+    const startedAt = Date.now();
+    const entries = new Array(items.length);
+    let next = 0;
+    let failedFast = false;
+
+    const worker = async () => {
+      while (next < items.length) {
+        const index = next++;
+        const { label, ...item } = items[index];
+        if (batch.signal.aborted) {
+          entries[index] = { label, data: { success: false, skipped: true, stdout: "", stderr: "", command: item.command } };
+          continue;
+        }
+        const commandStartedAt = Date.now();
+        const options = {
+          ...defaults,
+          ...item,
+          env: defaults.env || item.env ? { ...defaults.env, ...item.env } : undefined,
+          outputLimit,
+        };
+        const started = await startCommand(tool, options, {
+          signal: batch.signal,
+          onOutput: onOutput && ((stream, text) => onOutput(stream, text, label)),
+        });
+        entries[index] = { label, started, durationMs: Date.now() - commandStartedAt };
+
+        const failed = started.data ? !started.data.success : !started.success;
+        if (failed && fail_fast && !batch.signal.aborted) {
+          failedFast = true;
+          batch.abort();
+        }
+      }
+    };
+
+    try {
+      await Promise.all(Array.from({ length: Math.min(Math.max(1, Math.floor(concurrency) || 1), items.length) }, worker));
+    } finally {
+      if (signal) {
+        signal.removeEventListener('abort', abortBatch);
+      }
+    }
+
+    if (signal && signal.aborted) {
+      return { ...cancelledData(items.map((item) => item.command).join('\n')), results: [] };
+    }
+
+    // 실행이 끝난 명령들의 stdout/stderr가 응답 크기 제한을 나눠 사용 (명령별 메타데이터 몫은 미리 제외)
+    const pending = entries.filter((entry) => entry.started && !entry.started.data);
+    const outputs = pending.flatMap((entry) => [entry.started.stdout, entry.started.stderr]);
+    const budget = Math.max(outputLimit - 512 * items.length, 512 * outputs.length);
+    const limits = outputs.length > 0 ? splitOutputBudget(budget, ...outputs) : [];
+    await Promise.all(pending.map(async (entry, index) => {
+      entry.data = await entry.started.finish([limits[index * 2], limits[index * 2 + 1]], { signal });
+    }));
+
+    const results = entries.map(({ label, started, data = started.data, durationMs }) => {
+      const result = { label, ...data, code: data.success ? 0 : data.code, durationMs };
+      if (data.cancelled && failedFast) {
+        result.error = "Cancelled because another command failed (fail_fast)";
+      }
+      return result;
+    });
+
+    const summary = {
+      total: results.length,
+      succeeded: results.filter((result) => result.success).length,
+      failed: results.filter((result) => !result.success && !result.skipped && !result.cancelled).length,
+      cancelled: results.filter((result) => result.cancelled).length,
+      skipped: results.filter((result) => result.skipped).length,
+      durationMs: Date.now() - startedAt,
+    };
+    const responseData = { success: summary.succeeded === summary.total, summary, results };
+    if (!responseData.success) {
+      const failedLabels = results.filter((result) => !result.success && !result.skipped && !result.cancelled).map((result) => result.label);
+      responseData.error = failedLabels.length > 0
+        ? `${failedLabels.length} of ${summary.total} commands failed: ${failedLabels.join(', ')}`
+        : `${summary.cancelled + summary.skipped} of ${summary.total} commands did not run to completion`;
+    }
+    return responseData;
+  }
+
+  // ===== 예약 작업 =====
+
+  // 예약 작업 저장소 (작업 이름 -> 작업 정보), backgroundProcesses처럼 서버 프로세스에 보관
+  const jobs = new Map();
+
+  // setTimeout이 받을 수 있는 최대 지연 (약 24.8일), 더 먼 실행은 중간에 다시 계산
+  const MAX_TIMER_DELAY = 2147483647;
+
+  // cron 필드 범위와 이름
+  const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+    { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+  ];
+
+  const CRON_MACROS = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *',
+  };
+
+  // cron 필드 값 (숫자 또는 jan, mon 같은 이름)
+  function parseCronValue(text, field) {
+    const index = field.names ? field.names.indexOf(text.toLowerCase()) : -1;
+    const value = index >= 0 ? index + (field.min === 1 ? 1 : 0) : Number(text);
+    if (!Number.isInteger(value) || value < field.min || value > field.max) {
+      throw new Error(`Invalid ${field.name} value '${text}' (expected ${field.min}-${field.max})`);
+    }
+    return value;
+  }
+
+  // 5필드 cron 식(분 시 일 월 요일)을 필드별 허용 값 집합으로 변환
+  // *, 목록(1,15), 범위(1-5), 간격(*/15, 0-30/10), 월/요일 이름, @daily 같은 매크로 지원
+  function parseCron(expression) {
+    const text = CRON_MACROS[expression.trim().toLowerCase()] || expression.trim();
+    const parts = text.split(/\s+/);
+    if (parts.length !== 5) {
+      throw new Error(`Invalid cron expression '${expression}' (expected 5 fields: minute hour day-of-month month day-of-week)`);
+    }
+
+    const fields = parts.map((part, index) => {
+      const field = CRON_FIELDS[index];
+      const values = new Set();
+      for (const item of part.split(',')) {
+        const match = item.match(/^(\*|[^-/]+)(?:-([^/]+))?(?:\/(\d+))?$/);
+        if (!match) {
+          throw new Error(`Invalid ${field.name} field '${part}'`);
+        }
+        const step = match[3] ? Number(match[3]) : 1;
+        if (step < 1) {
+          throw new Error(`Invalid step in ${field.name} field '${part}'`);
+        }
+        const start = match[1] === '*' ? field.min : parseCronValue(match[1], field);
+        const end = match[1] === '*' ? field.max : match[2] !== undefined ? parseCronValue(match[2], field) : match[3] ? field.max : start;
+        if (end < start) {
+          throw new Error(`Invalid range in ${field.name} field '${part}'`);
+        }
+        for (let value = start; value <= end; value += step) {
+          values.add(value);
+        }
+      }
+      return { values, any: part === '*' };
+    });
+
+    // 요일 7은 일요일(0)과 같음
+    if (fields[4].values.has(7)) {
+      fields[4].values.add(0);
+    }
+    return { minute: fields[0], hour: fields[1], day: fields[2], month: fields[3], weekday: fields[4] };
+  }
+
+  // 일과 요일이 모두 지정되면 둘 중 하나만 맞아도 실행 (표준 cron 동작)
+  function cronDayMatches(cron, date) {
+    const dayMatches = cron.day.values.has(date.getDate());
+    const weekdayMatches = cron.weekday.values.has(date.getDay());
+    if (cron.day.any || cron.weekday.any) {
+      return (cron.day.any || dayMatches) && (cron.weekday.any || weekdayMatches);
+    }
+    return dayMatches || weekdayMatches;
+  }
+
+  // after 이후 cron 식과 일치하는 다음 시각 (서버의 현지 시간 기준, 없으면 null)
+  function nextCronTime(cron, after) {
+    const date = new Date(after.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    const limit = after.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+    while (date.getTime() <= limit) {
+      if (!cron.month.values.has(date.getMonth() + 1)) {
+        date.setMonth(date.getMonth() + 1, 1);
+        date.setHours(0, 0);
+        continue;
+      }
+      if (!cronDayMatches(cron, date)) {
+        date.setDate(date.getDate() + 1);
+        date.setHours(0, 0);
+        continue;
+      }
+      if (!cron.hour.values.has(date.getHours())) {
+        date.setHours(date.getHours() + 1, 0);
+        continue;
+      }
+      if (!cron.minute.values.has(date.getMinutes())) {
+        date.setMinutes(date.getMinutes() + 1);
+        continue;
+      }
+      return date;
+    }
+    return null;
+  }
+
+  // 작업의 다음 실행 시각 계산 (interval은 이전 예정 시각 기준으로 계산해 밀리지 않게 함)
+  function nextJobRun(job, from) {
+    if (job.schedule.cron) {
+      return nextCronTime(job.schedule.cron, from);
+    }
+    const previous = job.nextRun ? job.nextRun.getTime() : from.getTime();
+    let next = previous + job.schedule.interval;
+    if (next <= from.getTime()) {
+      // 서버가 멈춰 있었거나 실행이 밀린 경우 놓친 회차는 건너뜀
+      next = from.getTime() + job.schedule.interval;
+    }
+    return new Date(next);
+  }
+
+  // 다음 실행 타이머 설정
+  function scheduleNextJobRun(job) {
+    job.nextRun = nextJobRun(job, new Date());
+    if (!job.nextRun) {
+      job.timer = null;
+      return;
+    }
+    const arm = () => {
+      const delay = job.nextRun.getTime() - Date.now();
+      job.timer = setTimeout(() => {
+        if (job.nextRun.getTime() > Date.now()) {
+          arm();
+          return;
+        }
+        triggerJob(job);
+        if (jobs.get(job.name) === job) {
+          scheduleNextJobRun(job);
+        }
+      }, Math.min(Math.max(delay, 0), MAX_TIMER_DELAY));
+      job.timer.unref();
+    };
+    arm();
+  }
+
+  // 실행 기록 추가 (보관 개수 초과분은 오래된 것부터 삭제)
+  function addJobHistory(job, entry) {
+    job.history.push(entry);
+    if (job.history.length > JOB_HISTORY_SIZE) {
+      job.history.splice(0, job.history.length - JOB_HISTORY_SIZE);
+    }
+  }
+
+  // 예정된 실행 시각이 되었을 때 overlap 정책에 따라 실행
+  // skip: 이전 실행이 끝나지 않았으면 이번 회차를 건너뜀
+  // queue: 이전 실행이 끝난 뒤 실행 (대기는 한 번까지, 그 이상은 건너뜀)
+  // kill: 이전 실행을 종료하고 새로 실행
+  function triggerJob(job) {
+    if (!job.current) {
+      runJob(job);
+      return;
+    }
+    if (job.overlap === 'kill') {
+      job.current.stopReason = 'Killed by the next scheduled run (overlap: kill)';
+      job.current.controller.abort();
+      job.queued = true;
+      return;
+    }
+    if (job.overlap === 'queue' && !job.queued) {
+      job.queued = true;
+      return;
+    }
+    job.skipped++;
+    addJobHistory(job, {
+      run: null,
+      scheduledTime: new Date().toISOString(),
+      skipped: true,
+      reason: job.overlap === 'queue' ? 'A run is already queued' : 'Previous run is still running',
+    });
+  }
+
+  // 작업 한 회차 실행 (run과 같은 executeCommand 흐름, 작업을 등록한 연결의 정보로 감사 기록)
+  function runJob(job) {
+    const run = ++job.runCount;
+    const controller = new AbortController();
+    const current = { run, controller, stopReason: null, startTime: new Date() };
+    job.current = current;
+
+    const execute = () => executeCommand('schedule_job', {
+      ...job.options,
+      command: job.command,
+      outputLimit: JOB_OUTPUT_SIZE,
+    }, { signal: controller.signal }, { roots: job.roots });
+
+    current.promise = (job.context ? requestContext.run(job.context, execute) : execute()).catch((error) => ({
+      success: false,
+      error: error.message,
+      stdout: "",
+      stderr: "",
+    })).then((data) => {
+      const endTime = new Date();
+      const entry = {
+        run,
+        startTime: current.startTime.toISOString(),
+        endTime: endTime.toISOString(),
+        durationMs: endTime.getTime() - current.startTime.getTime(),
+        success: data.success,
+        code: data.success ? 0 : data.code,
+        signal: data.signal,
+        stdout: data.stdout,
+        stderr: data.stderr,
+      };
+      if (data.error) {
+        entry.error = current.stopReason || data.error;
+      }
+      for (const key of ['overflow', 'details', 'redactions', 'rejected', 'limitExceeded']) {
+        if (data[key] !== undefined) {
+          entry[key] = data[key];
+        }
+      }
+      if (current.stopReason) {
+        entry.killed = true;
+      }
+      addJobHistory(job, entry);
+      if (data.success) {
+        job.successCount++;
+      } else {
+        job.failureCount++;
+      }
+
+      job.current = null;
+      if (job.queued && jobs.get(job.name) === job) {
+        job.queued = false;
+        runJob(job);
+      }
+    });
+  }
+
+  // 작업 정보 요약 (list_jobs, schedule_job, cancel_job 응답)
+  function describeJob(job) {
+    const last = [...job.history].reverse().find((entry) => !entry.skipped);
+    return {
+      name: job.name,
+      command: job.command,
+      schedule: job.schedule.cron ? { cron: job.schedule.expression } : { interval: job.schedule.interval },
+      overlap: job.overlap,
+      cwd: job.options.cwd,
+      status: job.current ? 'running' : 'idle',
+      createdAt: job.createdAt,
+      nextRun: job.nextRun ? job.nextRun.toISOString() : null,
+      runs: job.runCount,
+      succeeded: job.successCount,
+      failed: job.failureCount,
+      skipped: job.skipped,
+      queued: job.queued,
+      lastRun: last ? { run: last.run, startTime: last.startTime, endTime: last.endTime, success: last.success, code: last.code } : null,
+    };
+  }
+
+  // 작업 취소: 타이머 해제, 대기 중인 실행 취소, 실행 중인 회차 종료 (kill_running이 false면 끝날 때까지 둠)
+  async function cancelJob(job, { killRunning = true } = {}) {
+    jobs.delete(job.name);
+    clearTimeout(job.timer);
+    job.timer = null;
+    job.nextRun = null;
+    job.queued = false;
+    if (job.current && killRunning) {
+      job.current.stopReason = 'Killed because the job was cancelled';
+      job.current.controller.abort();
+      await job.current.promise;
+    }
+  }
+
+  // 도구 실행 핸들러
+  async function handleCallTool(request, extra) {
+    const { name, arguments: args } = request.params;
+
+    switch (name) {
+      case "run": {
+        const { max_output } = args;
+        const options = pickOptions(args, COMMAND_OPTIONS);
+        // 호출별 응답 크기 제한 (서버 최대값을 넘을 수 없음)
+        const outputLimit = Math.min(max_output > 0 ? max_output : MAX_OUTPUT_SIZE, MAX_OUTPUT_SIZE);
+
+        // 진행 토큰이 있으면 실행 중 출력을 진행 알림으로 전송
+        const streamer = createProgressStreamer(extra, request.params._meta?.progressToken);
+        let responseData;
+        try {
+          responseData = await executeCommand(name, { ...options, outputLimit }, { signal: extra.signal, onOutput: streamer.onOutput });
+        } finally {
+          await streamer.stop();
+        }
+        return formatResponse(responseData, responseData.success ? 'combined' : 'error-combined', { structured: true, maxSize: outputLimit });
+      }
+
+      case "run_script": {
+        const { max_output } = args;
+        const options = pickOptions(args, SCRIPT_OPTIONS);
+        const outputLimit = Math.min(max_output > 0 ? max_output : MAX_OUTPUT_SIZE, MAX_OUTPUT_SIZE);
+
+        const streamer = createProgressStreamer(extra, request.params._meta?.progressToken);
+        let responseData;
+        try {
+          responseData = await executeScript(name, { ...options, outputLimit }, { signal: extra.signal, onOutput: streamer.onOutput });
+        } finally {
+          await streamer.stop();
+        }
+        return formatResponse(responseData, responseData.success ? 'combined' : 'error-combined', { structured: true, maxSize: outputLimit });
+      }
+
+      case "run_many": {
+        const { max_output } = args;
+        const options = pickOptions(args, MANY_OPTIONS);
+        const outputLimit = Math.min(max_output > 0 ? max_output : MAX_OUTPUT_SIZE, MAX_OUTPUT_SIZE);
+
+        // 진행 알림의 각 줄에는 명령의 label을 붙임
+        const streamer = createProgressStreamer(extra, request.params._meta?.progressToken);
+        let responseData;
+        try {
+          responseData = await executeMany(name, { ...options, outputLimit }, { signal: extra.signal, onOutput: streamer.onOutput });
+        } finally {
+          await streamer.stop();
+        }
+        return formatResponse(responseData, responseData.success ? 'run-many' : 'error-run-many', { structured: true, maxSize: outputLimit });
+      }
+
+      case "schedule_job": {
+        const { name: jobName, command, interval, cron, overlap = "skip", cwd: requestedCwd, timeout = 30000, shell, env, env_file, inherit_env, limits } = args;
+
+        const invalid = (error) => formatResponse({ success: false, error, stdout: "", stderr: "", command }, 'schedule-job-error');
+        if (jobs.has(jobName)) {
+          return invalid(`Job '${jobName}' already exists (cancel it first)`);
+        }
+        if ((interval === undefined) === (cron === undefined)) {
+          return invalid("Specify exactly one of interval or cron");
+        }
+        if (interval !== undefined && !(interval >= 1000)) {
+          return invalid("interval must be at least 1000 milliseconds");
+        }
+        if (!["skip", "queue", "kill"].includes(overlap)) {
+          return invalid(`Unknown overlap policy '${overlap}' (expected one of: skip, queue, kill)`);
+        }
+        let schedule;
+        try {
+          schedule = cron !== undefined ? { expression: cron, cron: parseCron(cron) } : { interval };
+          resolveShell(shell);
+        } catch (error) {
+          return invalid(error.message);
+        }
+        if (schedule.cron && !nextCronTime(schedule.cron, new Date())) {
+          return invalid(`Cron expression '${cron}' never matches`);
+        }
+
+        // 작업 루트와 정책은 등록할 때 확인하고, 실행할 때는 등록 시점의 루트로 다시 확인
+        const rootCheck = await checkRoots(requestedCwd);
+        if (!rootCheck.allowed) {
+          return rootsRejectedResponse(rootCheck, command, name);
+        }
+        const cwd = rootCheck.cwd;
+
+        const decision = evaluatePolicy(name, command, cwd);
+        if (!decision.allowed) {
+          return policyDeniedResponse(decision, command, name, cwd);
+        }
+
+        const job = {
+          name: jobName,
+          command,
+          schedule,
+          overlap,
+          options: { cwd, timeout, shell, env, env_file, inherit_env, limits },
+          roots: rootCheck.roots,
+          context: requestContext.getStore(),
+          createdAt: new Date().toISOString(),
+          nextRun: null,
+          timer: null,
+          current: null,
+          queued: false,
+          runCount: 0,
+          successCount: 0,
+          failureCount: 0,
+          skipped: 0,
+          history: [],
+        };
+        jobs.set(jobName, job);
+        scheduleNextJobRun(job);
+
+        recordAudit({ tool: name, event: "schedule", name: jobName, command, cwd: resolve(cwd || process.cwd()), interval, cron, overlap });
+
+        return formatResponse({
+          success: true,
+          job: describeJob(job),
+          stdout: "",
+          stderr: "",
+          command
+        }, 'schedule-job-response');
+      }
+
+      case "list_jobs": {
+        const list = Array.from(jobs.values()).map(describeJob);
+        return formatResponse({
+          success: true,
+          count: list.length,
+          jobs: list,
+          stdout: "",
+          stderr: "",
+          command: "list_jobs"
+        }, 'list-jobs-response');
+      }
+
+      case "cancel_job": {
+        const { name: jobName, kill_running = true } = args;
+
+        const job = jobs.get(jobName);
+        if (!job) {
+          return formatResponse({
+            success: false,
+            error: `No job found with name '${jobName}'`,
+            stdout: "",
+            stderr: "",
+            command: ""
+          }, 'cancel-job-error');
+        }
+
+        await cancelJob(job, { killRunning: kill_running });
+        recordAudit({ tool: name, event: "cancel", name: jobName, command: job.command });
+
+        return formatResponse({
+          success: true,
+          message: `Job '${jobName}' cancelled`,
+          job: describeJob(job),
+          stdout: "",
+          stderr: "",
+          command: job.command
+        }, 'cancel-job-response');
+      }
+
+      case "job_history": {
+        const { name: jobName, limit = JOB_HISTORY_SIZE, status = "all" } = args;
+
+        const job = jobs.get(jobName);
+        if (!job) {
+          return formatResponse({
+            success: false,
+            error: `No job found with name '${jobName}'`,
+            stdout: "",
+            stderr: "",
+            command: ""
+          }, 'job-history-error');
+        }
+
+        // 최신 실행부터 반환
+        const entries = [...job.history].reverse().filter((entry) => {
+          if (status === "success") return entry.success === true;
+          if (status === "failed") return !entry.skipped && entry.success === false;
+          if (status === "skipped") return !!entry.skipped;
+          return true;
+        }).slice(0, Math.max(0, limit));
+
+        return formatResponse({
+          success: true,
+          job: describeJob(job),
+          count: entries.length,
+          entries,
+          stdout: "",
+          stderr: "",
+          command: job.command
+        }, 'job-history-response');
+      }
+
+      case "run_background": {
+        const { command, name: processName, cwd: requestedCwd, stdin = false, limits, shell, env, env_file, inherit_env, restart, max_restarts, restart_delay, max_restart_delay, health_check } = args;
+
+        const rootCheck = await checkRoots(requestedCwd);
+        if (!rootCheck.allowed) {
+          return rootsRejectedResponse(rootCheck, command, name);
+        }
+        const cwd = rootCheck.cwd;
+
+        const decision = evaluatePolicy(name, command, cwd);
+        if (!decision.allowed) {
+          return policyDeniedResponse(decision, command, name, cwd);
+        }
+
+        // 상태 확인 명령도 같은 정책을 적용
+        if (health_check && health_check.command !== undefined) {
+          const healthDecision = evaluatePolicy(name, health_check.command, cwd);
+          if (!healthDecision.allowed) {
+            return policyDeniedResponse(healthDecision, health_check.command, name, cwd);
+          }
+        }
+
+        const blocked = await runBeforeExecute({ tool: name, command, cwd });
+        if (blocked) {
+          return formatResponse(blocked, 'blocked', { structured: true });
+        }
+
+        // 같은 이름의 프로세스가 종료된 경우에는 이름 재사용 허용 (이전 기록은 대체됨)
+        // 재시작 대기 중인 프로세스는 실행 중으로 취급
+        const existing = backgroundProcesses.get(processName);
+        if (existing && (!existing.info.endTime || getBackgroundStatus(existing.info) === "restarting")) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: JSON.stringify(
+                  {
+                    success: false,
+                    error: `Process '${processName}' is already running`,
+                  },
+                  null,
+                  2
+                ),
+              },
+            ],
+          };
+        }
+
+        try {
+          const sandbox = buildSandbox(rootCheck.roots, cwd);
+          const startOptions = { cwd, stdin, limits, shell, env, env_file, inherit_env, sandbox };
+          const supervisor = createSupervisor({ restart, max_restarts, restart_delay, max_restart_delay, health_check }, startOptions);
+          const { child, info } = startBackgroundProcess(processName, command, { ...startOptions, supervisor });
+
+          recordAudit({ tool: name, event: "start", name: processName, pid: child.pid, command, cwd: info.cwd, logFiles: info.logFiles });
+
+          const responseData = {
+            success: true,
+            name: processName,
+            pid: child.pid,
+            command,
+            logFiles: info.logFiles,
+            logResources: backgroundResourceUris(processName),
+            limits: info.limits || undefined,
+            sandbox: info.sandbox,
+            restart: supervisor ? describeSupervisor(supervisor) : undefined,
+            health: info.health,
+            warnings: info.warnings,
+            message: `Started background process '${processName}' (PID: ${child.pid})`,
+            stdout: "",
+            stderr: ""
+          };
+
+          return formatResponse(responseData, 'run-background-response');
+        } catch (error) {
+          const responseData = {
+            success: false,
+            error: error.message,
+            stdout: "",
+            stderr: "",
+            command
+          };
+
+          return formatResponse(responseData, 'run-background-error');
+        }
+      }
+
+      case "kill_background": {
+        const { name: processName, signal = "SIGTERM", grace_period = KILL_GRACE_PERIOD } = args;
+
+        // 알 수 없는 시그널은 process.kill에서 예외가 나고 이미 종료된 경우처럼 처리되므로 미리 거부
+        if (!Object.prototype.hasOwnProperty.call(osConstants.signals, signal)) {
+          return formatResponse({
+            success: false,
+            error: `Unknown signal '${signal}'`,
+            stdout: "",
+            stderr: "",
+            command: ""
+          }, 'kill-background-error');
+        }
+
+        const process = backgroundProcesses.get(processName);
+        if (!process) {
+          const responseData = {
+            success: false,
+            error: `No background process found with name '${processName}'`,
+            stdout: "",
+            stderr: "",
+            command: ""
+          };
+
+          return formatResponse(responseData, 'kill-background-error');
+        }
+
+        // 재시작 대기 중이면 재시작만 취소
+        if (process.info.endTime && stopSupervisor(process.info)) {
+          recordAudit({ tool: name, name: processName, command: process.info.command, event: "restart-cancelled" });
+          return formatResponse({
+            success: true,
+            message: `Cancelled pending restart of process '${processName}'`,
+            terminated: [],
+            stdout: "",
+            stderr: "",
+            command: process.info.command
+          }, 'kill-background-response');
+        }
+
+        if (process.info.endTime) {
+          return formatResponse({
+            success: false,
+            error: `Process '${processName}' has already exited (code: ${process.info.exitCode}, signal: ${process.info.exitSignal})`,
+            stdout: "",
+            stderr: "",
+            command: process.info.command
+          }, 'kill-background-error');
+        }
+
+        try {
+          // 직접 종료한 프로세스는 재시작하지 않음
+          stopSupervisor(process.info);
+          const result = await terminateProcessTree(process.info.pid, { signal, gracePeriod: grace_period });
+
+          recordAudit({ tool: name, name: processName, command: process.info.command, signal, terminated: result.terminated });
+
+          const responseData = {
+            success: true,
+            message: `${result.forced ? 'Force killed' : 'Killed'} process '${processName}' (PID: ${process.info.pid})`,
+            terminated: result.terminated,
+            stdout: "",
+            stderr: "",
+            command: process.info.command
+          };
+
+          return formatResponse(responseData, 'kill-background-response');
+        } catch (error) {
+          const responseData = {
+            success: false,
+            error: error.message,
+            stdout: "",
+            stderr: "",
+            command: process.info.command
+          };
+
+          return formatResponse(responseData, 'kill-background-kill-error');
+        }
+      }
+
+      case "list_background": {
+        const { status = "all" } = args || {};
+
+        pruneBackgroundHistory();
+        const entries = Array.from(backgroundProcesses.entries()).filter(
+          ([, { info }]) => status === "all" || (status === "exited" ? !!info.endTime : getBackgroundStatus(info) === status)
+        );
+
+        // 실행 중인 프로세스의 자원 사용량 (프로세스 목록은 한 번만 읽음, /proc이 없으면 생략)
+        const usages = new Map();
+        if (entries.some(([, { info }]) => !info.endTime) && readProcStat(process.pid)) {
+          const allProcesses = await listProcesses();
+          for (const [name, { info }] of entries) {
+            const snapshot = info.endTime ? null : await readProcessTreeUsage(info.pid, allProcesses);
+            if (snapshot) {
+              usages.set(name, summarizeUsage(snapshot));
+            }
+          }
+        }
+
+        const processes = entries.map(
+          ([name, { info }]) => {
+            const processData = {
+              ...describeBackgroundProcess(name, info),
+              usage: usages.get(name),
+              recentOutput: info.output.slice(-10).join("").substring(0, 1000),
+              recentErrors: info.errors.slice(-10).join("").substring(0, 1000),
+            };
+
+            // overflow 정보 추가
+            if (info.outputOverflow || info.errorOverflow) {
+              processData.overflow = true;
+              processData.overflowDetails = {};
+
+              if (info.outputOverflow) {
+                processData.overflowDetails.stdout = {
+                  filePath: info.outputFilePath,
+                  size: info.totalOutputSize
+                };
+              }
+
+              if (info.errorOverflow) {
+                processData.overflowDetails.stderr = {
+                  filePath: info.errorFilePath,
+                  size: info.totalErrorSize
+                };
+              }
+            }
+
+            return processData;
+          }
+        );
+
+        const responseData = {
+          success: true,
+          count: processes.length,
+          processes,
+          stdout: "",
+          stderr: "",
+          command: "list_background"
+        };
+
+        return formatResponse(responseData, 'list-background-response');
+      }
+
+      case "get_background_status": {
+        const { name: processName } = args;
+
+        pruneBackgroundHistory();
+        const entry = backgroundProcesses.get(processName);
+        if (!entry) {
+          return formatResponse({
+            success: false,
+            error: `No background process found with name '${processName}'`,
+            stdout: "",
+            stderr: "",
+            command: ""
+          }, 'background-status-error');
+        }
+
+        return formatResponse({
+          success: true,
+          ...describeBackgroundProcess(processName, entry.info),
+          stdout: "",
+          stderr: "",
+          command: entry.info.command
+        }, 'background-status-response');
+      }
+
+      case "inspect_background": {
+        const { name: processName, sample_ms = 0, samples = 5 } = args;
+
+        const entry = backgroundProcesses.get(processName);
+        if (!entry) {
+          return formatResponse({
+            success: false,
+            error: `No background process found with name '${processName}'`,
+            stdout: "",
+            stderr: "",
+            command: ""
+          }, 'inspect-background-error');
+        }
+
+        const { info } = entry;
+        if (info.endTime) {
+          return formatResponse({
+            success: false,
+            error: `Process '${processName}' is not running (status: ${getBackgroundStatus(info)})`,
+            stdout: "",
+            stderr: "",
+            command: info.command
+          }, 'inspect-background-error');
+        }
+
+        const { snapshot, series } = await sampleProcessTreeUsage(info.pid, {
+          sampleMs: Math.min(Math.max(sample_ms, 0), 60000),
+          samples: Math.min(Math.max(Math.floor(samples), 1), 100),
+          signal: extra.signal,
+        });
+        if (extra.signal && extra.signal.aborted) {
+          return cancelledResponse(info.command);
+        }
+        if (!snapshot) {
+          return formatResponse({
+            success: false,
+            error: info.endTime
+              ? `Process '${processName}' exited while being inspected`
+              : "Resource usage is only available on Linux (/proc)",
+            stdout: "",
+            stderr: "",
+            command: info.command
+          }, 'inspect-background-error');
+        }
+
+        return formatResponse({
+          success: true,
+          name: processName,
+          pid: info.pid,
+          running: !info.endTime,
+          usage: summarizeUsage(snapshot, { details: true }),
+          sampling: series || undefined,
+          stdout: "",
+          stderr: "",
+          command: info.command
+        }, 'inspect-background-response');
+      }
+
+      case "write_background_stdin": {
+        const { name: processName, text, newline = true, close = false } = args;
+
+        const entry = backgroundProcesses.get(processName);
+        if (!entry) {
+          return formatResponse({
+            success: false,
+            error: `No background process found with name '${processName}'`,
+            stdout: "",
+            stderr: "",
+            command: ""
+          }, 'write-stdin-error');
+        }
+
+        try {
+          const bytesWritten = await writeBackgroundStdin(entry, text, { newline, close });
+
+          return formatResponse({
+            success: true,
+            name: processName,
+            bytesWritten,
+            stdinOpen: entry.info.stdinOpen,
+            stdout: "",
+            stderr: "",
+            command: entry.info.command
+          }, 'write-stdin-response');
+        } catch (error) {
+          return formatResponse({
+            success: false,
+            error: error.message,
+            stdout: "",
+            stderr: "",
+            command: entry.info.command
+          }, 'write-stdin-error');
+        }
+      }
+
+      case "expect_background": {
+        const { name: processName, input, newline = true, pattern, stream = "both", timeout = 10000 } = args;
+
+        const entry = backgroundProcesses.get(processName);
+        if (!entry) {
+          return formatResponse({
+            success: false,
+            error: `No background process found with name '${processName}'`,
+            stdout: "",
+            stderr: "",
+            command: ""
+          }, 'expect-error');
+        }
+
+        try {
+          const regex = pattern ? new RegExp(pattern) : null;
+          if (input !== undefined && !entry.info.stdinOpen) {
+            throw new Error("stdin is not open for this process (start it with stdin: true)");
+          }
+
+          // 입력 전에 리스너를 등록해야 빠른 응답도 놓치지 않음
+          const waiting = waitForBackgroundOutput(entry, regex, { timeout, stream, signal: extra.signal });
+          if (input !== undefined) {
+            await writeBackgroundStdin(entry, input, { newline });
+          }
+          const result = await waiting;
+          if (result.cancelled) {
+            return cancelledResponse(entry.info.command);
+          }
+
+          const redactedOutput = redactSecrets(result.output);
+          const [outputLimit] = splitOutputBudget(MAX_OUTPUT_SIZE, redactedOutput.text);
+          const outputResult = await truncateOutput(redactedOutput.text, outputLimit, 'expect-output');
+
+          const responseData = {
+            success: regex ? result.matched : true,
+            name: processName,
+            matched: result.matched,
+            match: result.match,
+            output: outputResult.content,
+            exited: !!result.exited,
+            timedOut: !!result.timedOut,
+            stdout: "",
+            stderr: "",
+            command: entry.info.command
+          };
+          if (redactedOutput.count > 0) {
+            responseData.redactions = redactedOutput.count;
+          }
+          if (outputResult.overflow) {
+            responseData.overflow = true;
+            responseData.details = { output: { originalSize: outputResult.originalSize, truncatedSize: outputResult.truncatedSize, omittedLines: outputResult.omittedLines, omittedBytes: outputResult.omittedBytes, filePath: outputResult.filePath, resourceUri: outputResult.resourceUri } };
+          }
+          if (regex && !result.matched) {
+            responseData.error = result.exited
+              ? `Process exited before output matched /${pattern}/`
+              : `Timed out after ${timeout}ms waiting for /${pattern}/`;
+          }
+
+          return formatResponse(responseData, 'expect-response');
+        } catch (error) {
+          return formatResponse({
+            success: false,
+            error: error.message,
+            stdout: "",
+            stderr: "",
+            command: entry.info.command
+          }, 'expect-error');
+        }
+      }
+
+      case "wait_for": {
+        const { name: processName, pattern, stream, port, host, url, status, file, exit, timeout = 30000, interval = 500 } = args;
+
+        const entry = backgroundProcesses.get(processName);
+        if (!entry) {
+          return formatResponse({
+            success: false,
+            error: `No background process found with name '${processName}'`,
+            stdout: "",
+            stderr: "",
+            command: ""
+          }, 'wait-for-error');
+        }
+
+        if (pattern === undefined && port === undefined && url === undefined && file === undefined && !exit) {
+          return formatResponse({
+            success: false,
+            error: "At least one condition is required: pattern, port, url, file or exit",
+            stdout: "",
+            stderr: "",
+            command: entry.info.command
+          }, 'wait-for-error');
+        }
+
+        try {
+          const result = await waitForCondition(entry, {
+            pattern: pattern !== undefined ? new RegExp(pattern) : undefined,
+            stream,
+            port,
+            host,
+            url,
+            status,
+            file,
+            exit,
+          }, { timeout, interval, signal: extra.signal });
+
+          if (result.cancelled) {
+            return cancelledResponse(entry.info.command);
+          }
+
+          const responseData = {
+            success: result.condition !== null,
+            name: processName,
+            condition: result.condition,
+            detail: result.detail,
+            elapsed: result.elapsed,
+            excerpt: result.excerpt,
+            running: !entry.info.endTime,
+            exitCode: entry.info.exitCode,
+            stdout: "",
+            stderr: "",
+            command: entry.info.command
+          };
+          if (result.timedOut) {
+            responseData.error = `Timed out after ${timeout}ms waiting for process '${processName}'`;
+          } else if (result.exited) {
+            responseData.error = `Process '${processName}' exited (code: ${entry.info.exitCode}) before the condition was met`;
+          }
+
+          return formatResponse(responseData, 'wait-for-response');
+        } catch (error) {
+          return formatResponse({
+            success: false,
+            error: error.message,
+            stdout: "",
+            stderr: "",
+            command: entry.info.command
+          }, 'wait-for-error');
+        }
+      }
+
+      case "read_background_output": {
+        const { name: processName, stream = "stdout", offset = 0, length, line, max_lines, tail, grep } = args;
+
+        const entry = backgroundProcesses.get(processName);
+        if (!entry) {
+          return formatResponse({
+            success: false,
+            error: `No background process found with name '${processName}'`,
+            stdout: "",
+            stderr: "",
+            command: ""
+          }, 'read-background-error');
+        }
+
+        const filePath = entry.info.logFiles[stream];
+        if (!filePath) {
+          return formatResponse({
+            success: false,
+            error: `Unknown stream '${stream}'`,
+            stdout: "",
+            stderr: "",
+            command: entry.info.command
+          }, 'read-background-error');
+        }
+
+        try {
+          // 응답 envelope 여유분을 두고 출력 크기 제한
+          const limit = Math.max(256, MAX_OUTPUT_SIZE - 1024);
+          const maxBytes = Math.max(1, Math.min(length || limit, limit));
+          const lineMode = line !== undefined || max_lines !== undefined || tail !== undefined || grep !== undefined;
+
+          const result = lineMode
+            ? await readLogLines(filePath, {
+              lineOffset: line || 0,
+              maxLines: max_lines || 200,
+              tail,
+              grep: grep ? new RegExp(grep) : null,
+              maxBytes,
+            })
+            : await readLogBytes(filePath, offset, maxBytes);
+
+          // tail 결과도 전체 응답 크기를 넘지 않도록 앞부분 제거
+          if (Buffer.byteLength(result.output) > maxBytes) {
+            const buffer = Buffer.from(result.output);
+            result.output = buffer.subarray(buffer.length - maxBytes).toString('utf8');
+            result.truncated = true;
+          }
+
+          return formatResponse({
+            success: true,
+            name: processName,
+            stream,
+            filePath,
+            running: !entry.info.endTime,
+            ...result,
+            stdout: "",
+            stderr: "",
+            command: entry.info.command
+          }, 'read-background-response');
+        } catch (error) {
+          return formatResponse({
+            success: false,
+            error: error.message,
+            stdout: "",
+            stderr: "",
+            command: entry.info.command
+          }, 'read-background-error');
+        }
+      }
+
+      case "audit_query": {
+        const { since, until, command, tool, exit_code, status, limit = 50 } = args || {};
+
+        try {
+          // 기록 중인 항목까지 포함되도록 대기 중인 쓰기 완료 후 조회
+          await auditQueue;
+          const result = await queryAudit({ since, until, command, tool, exitCode: exit_code, status, limit });
+
+          return formatResponse({
+            success: true,
+            filePath: result.filePath,
+            matched: result.matched,
+            count: result.entries.length,
+            entries: result.entries,
+            stdout: "",
+            stderr: "",
+            command: "audit_query"
+          }, 'audit-query-response');
+        } catch (error) {
+          return formatResponse({
+            success: false,
+            error: error.message,
+            stdout: "",
+            stderr: "",
+            command: "audit_query"
+          }, 'audit-query-error');
+        }
+      }
+
+      case "session_start": {
+        const { name: requestedName, cwd: requestedCwd } = args;
+        const sessionName = requestedName || `session-${Date.now()}-${++sessionCounter}`;
+
+        const rootCheck = await checkRoots(requestedCwd);
+        if (!rootCheck.allowed) {
+          return rootsRejectedResponse(rootCheck, "", name);
+        }
+        const cwd = rootCheck.cwd;
+
+        // 없는 디렉토리에서는 쉘이 시작되지 않으므로 미리 확인
+        if (cwd) {
+          const cwdStat = await stat(cwd).catch(() => null);
+          if (!cwdStat || !cwdStat.isDirectory()) {
+            return formatResponse({
+              success: false,
+              error: cwdStat ? `Working directory is not a directory: ${cwd}` : `Working directory does not exist: ${cwd}`,
+              stdout: "",
+              stderr: "",
+              command: ""
+            }, 'session-start-error');
+          }
+        }
+
+        if (sessions.has(sessionName)) {
+          return formatResponse({
+            success: false,
+            error: `Session '${sessionName}' already exists`,
+            stdout: "",
+            stderr: "",
+            command: ""
+          }, 'session-start-error');
+        }
+
+        try {
+          const session = await startSession(sessionName, cwd, buildSandbox(rootCheck.roots, cwd));
+
+          return formatResponse({
+            success: true,
+            session: sessionName,
+            pid: session.pid,
+            cwd: session.cwd,
+            sandbox: session.sandbox,
+            message: `Started session '${sessionName}' (PID: ${session.pid})`,
+            stdout: "",
+            stderr: "",
+            command: ""
+          }, 'session-start-response');
+        } catch (error) {
+          return formatResponse({
+            success: false,
+            error: error.message,
+            stdout: "",
+            stderr: "",
+            command: ""
+          }, 'session-start-error');
+        }
+      }
+
+      case "session_run": {
+        const { session: sessionName, command, timeout = 30000 } = args;
+
+        const session = sessions.get(sessionName);
+        if (!session) {
+          return formatResponse({
+            success: false,
+            error: `No session found with name '${sessionName}'`,
+            stdout: "",
+            stderr: "",
+            command
+          }, 'session-run-error');
+        }
+
+        // 세션 안에서 cd로 루트 밖으로 이동한 경우에도 거부
+        const rootCheck = await checkRoots(session.cwd);
+        if (!rootCheck.allowed) {
+          return rootsRejectedResponse(rootCheck, command, name);
+        }
+
+        const decision = evaluatePolicy(name, command, session.cwd);
+        if (!decision.allowed) {
+          return policyDeniedResponse(decision, command, name, session.cwd);
+        }
+
+        const blocked = await runBeforeExecute({ tool: name, command, cwd: session.cwd });
+        if (blocked) {
+          return formatResponse(blocked, 'blocked', { structured: true });
+        }
+
+        const startedAt = Date.now();
+        const result = await runInSession(session, command, timeout, extra.signal);
+
+        if (result.cancelled) {
+          auditCommand(name, {
+            command,
+            cwd: session.cwd,
+            timeout,
+            startedAt,
+            stdout: result.stdout,
+            stderr: result.stderr,
+            success: false,
+            exitCode: result.exitCode,
+            signal: result.signal,
+            cancelled: true,
+            session: sessionName,
+          });
+          return cancelledResponse(command);
+        }
+
+        const redactedStdout = redactSecrets(result.stdout);
+        const redactedStderr = redactSecrets(result.stderr);
+        const [stdoutLimit, stderrLimit] = splitOutputBudget(MAX_OUTPUT_SIZE, redactedStdout.text, redactedStderr.text);
+        const stdoutResult = await truncateOutput(redactedStdout.text, stdoutLimit, 'session-stdout');
+        const stderrResult = await truncateOutput(redactedStderr.text, stderrLimit, 'session-stderr');
+        const overflowInfo = buildOverflowInfo(stdoutResult, stderrResult);
+
+        const responseData = {
+          success: !result.sessionClosed && result.exitCode === 0,
+          stdout: stdoutResult.content,
+          stderr: stderrResult.content,
+          code: result.exitCode,
+          signal: result.signal,
+          session: sessionName,
+          cwd: session.cwd,
+          command,
+          ...overflowInfo
+        };
+        if (redactedStdout.count + redactedStderr.count > 0) {
+          responseData.redactions = redactedStdout.count + redactedStderr.count;
+        }
+
+        if (result.timedOut) {
+          responseData.error = `Command timed out after ${timeout}ms, session '${sessionName}' was terminated`;
+        } else if (result.bufferExceeded) {
+          responseData.error = `Output exceeded ${SESSION_MAX_BUFFER} bytes, session '${sessionName}' was terminated`;
+        } else if (result.sessionClosed) {
+          responseData.error = `Session '${sessionName}' exited`;
+        } else if (result.exitCode !== 0) {
+          responseData.error = `Command failed with exit code ${result.exitCode}`;
+        }
+        if (result.sessionClosed) {
+          responseData.sessionClosed = true;
+        }
+
+        auditCommand(name, {
+          command,
+          cwd: session.cwd,
+          timeout,
+          startedAt,
+          stdout: result.stdout,
+          stderr: result.stderr,
+          overflowInfo,
+          success: responseData.success,
+          exitCode: result.exitCode,
+          signal: result.signal,
+          error: responseData.error,
+          session: sessionName,
+        });
+        await runAfterExecute({ tool: name, command, cwd: session.cwd, result: responseData });
+
+        return formatResponse(responseData, 'session-run-response');
+      }
+
+      case "session_close": {
+        const { session: sessionName } = args;
+
+        const session = sessions.get(sessionName);
+        if (!session) {
+          return formatResponse({
+            success: false,
+            error: `No session found with name '${sessionName}'`,
+            stdout: "",
+            stderr: "",
+            command: ""
+          }, 'session-close-error');
+        }
+
+        session.shell.stdin.end();
+        killSession(session, "SIGTERM");
+        sessions.delete(sessionName);
+
+        return formatResponse({
+          success: true,
+          message: `Closed session '${sessionName}' (PID: ${session.pid})`,
+          stdout: "",
+          stderr: "",
+          command: ""
+        }, 'session-close-response');
+      }
+
+      case "session_list": {
+        const sessionList = Array.from(sessions.values()).map((session) => ({
+          name: session.name,
+          pid: session.pid,
+          cwd: session.cwd,
+          startTime: session.startTime,
+          commandCount: session.commandCount,
+          busy: !!session.pending,
+        }));
+
+        return formatResponse({
+          success: true,
+          count: sessionList.length,
+          sessions: sessionList,
+          stdout: "",
+          stderr: "",
+          command: "session_list"
+        }, 'session-list-response');
+      }
+
+      default: {
+        const customTool = customTools.get(name);
+        if (customTool) {
+          const streamer = createProgressStreamer(extra, request.params._meta?.progressToken);
+          let responseData;
+          try {
+            responseData = await executeCustomTool(customTool, args, { signal: extra.signal, onOutput: streamer.onOutput });
+          } finally {
+            await streamer.stop();
+          }
+          return formatResponse(responseData, responseData.success ? 'combined' : 'error-combined', { structured: true, maxSize: customTool.maxOutput });
+        }
+
+        const errorResponse = {
+          success: false,
+          error: `Unknown tool: ${name}`,
+          stdout: "",
+          stderr: "",
+          command: name
+        };
+
+        return formatResponse(errorResponse, 'unknown-tool');
+      }
+    }
+  }
+
+  // 리소스 목록: 이 서버가 저장한 overflow 파일과 기록에 남은 백그라운드 프로세스 로그
+  async function handleListResources() {
+    const resources = [];
+
+    for (const [id, { filePath, createdAt }] of overflowFiles) {
+      try {
+        const { size } = await stat(filePath);
+        resources.push({
+          uri: overflowResourceUri(filePath),
+          name: basename(filePath),
+          description: `Full output saved at ${createdAt} (${id})`,
+          mimeType: "text/plain",
+          size,
+        });
+      } catch (error) {
+        overflowFiles.delete(id);
+      }
+    }
+
+    for (const [processName, { info }] of backgroundProcesses) {
+      for (const stream of BACKGROUND_LOG_STREAMS) {
+        let size;
+        try {
+          ({ size } = await stat(info.logFiles[stream]));
+        } catch (error) {
+          continue;
+        }
+        resources.push({
+          uri: backgroundResourceUri(processName, stream),
+          name: `${processName} (${stream})`,
+          description: `${stream} log of background process '${processName}' (${getBackgroundStatus(info)}): ${info.command}`,
+          mimeType: "text/plain",
+          size,
+        });
+      }
+    }
+
+    return { resources };
+  }
+
+  const handleListResourceTemplates = async () => ({
+    resourceTemplates: [
+      {
+        uriTemplate: "bash-mcp://output/{id}{?offset,length}",
+        name: "Overflow output",
+        description: "Full output of a truncated response. Use offset and length (bytes) to read large files in parts",
+        mimeType: "text/plain",
+      },
+      {
+        uriTemplate: "bash-mcp://background/{name}/{stream}{?offset,length}",
+        name: "Background process log",
+        description: "stdout, stderr or interleaved log of a background process. Use offset and length (bytes) to read in parts",
+        mimeType: "text/plain",
+      },
+    ],
+  });
+
+  // 리소스 읽기: offset/length 쿼리로 범위 지정, 한 번에 RESOURCE_READ_SIZE까지
+  async function handleReadResource(request) {
+    const { uri } = request.params;
+    const { filePath, params } = resolveResource(uri);
+    const offset = parseInt(params.get('offset') || '0', 10) || 0;
+    const length = Math.min(parseInt(params.get('length') || '0', 10) || RESOURCE_READ_SIZE, RESOURCE_READ_SIZE);
+
+    let result;
+    try {
+      result = await readLogBytes(filePath, offset, length);
+    } catch (error) {
+      throw new McpError(ErrorCode.InvalidParams, `Failed to read resource ${uri}: ${error.message}`);
+    }
+
+    return {
+      contents: [
+        {
+          uri,
+          mimeType: "text/plain",
+          text: redactSecrets(result.output).text,
+          _meta: {
+            offset: result.offset,
+            nextOffset: result.nextOffset,
+            totalSize: result.totalSize,
+            eof: result.eof,
+          },
+        },
+      ],
+    };
+  }
+
+  async function handleSubscribe(request, server) {
+    const { uri } = request.params;
+    resolveResource(uri);
+    if (!resourceSubscriptions.has(uri)) {
+      resourceSubscriptions.set(uri, new Set());
+    }
+    resourceSubscriptions.get(uri).add(server);
+    return {};
+  }
+
+  async function handleUnsubscribe(request, server) {
+    removeSubscription(request.params.uri, server);
+    return {};
+  }
+
+  function removeSubscription(uri, server) {
+    const subscribers = resourceSubscriptions.get(uri);
+    if (!subscribers) {
+      return;
+    }
+    subscribers.delete(server);
+    if (subscribers.size === 0) {
+      resourceSubscriptions.delete(uri);
+      clearTimeout(pendingResourceUpdates.get(uri));
+      pendingResourceUpdates.delete(uri);
+    }
+  }
+
+  // MCP 서버 인스턴스 생성 (연결마다 하나씩 만들고 핸들러는 공유)
+  function createServer() {
+    const server = new Server(
+      {
+        name: "bash-mcp",
+        version: "1.0.0",
+      },
+      {
+        capabilities: {
+          tools: TOOLS_FILE ? { listChanged: true } : {},
+          resources: { subscribe: true, listChanged: true },
+        },
+      }
+    );
+
+    server.setRequestHandler(ListToolsRequestSchema, handleListTools);
+    server.setRequestHandler(CallToolRequestSchema, (request, extra) =>
+      requestContext.run({ server, sessionId: extra.sessionId }, () => handleCallTool(request, extra))
+    );
+    server.setRequestHandler(ListResourcesRequestSchema, handleListResources);
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, handleListResourceTemplates);
+    server.setRequestHandler(ReadResourceRequestSchema, handleReadResource);
+    server.setRequestHandler(SubscribeRequestSchema, (request) => handleSubscribe(request, server));
+    server.setRequestHandler(UnsubscribeRequestSchema, (request) => handleUnsubscribe(request, server));
+    // 클라이언트의 작업 루트가 바뀌면 다음 호출에서 다시 읽음
+    server.setNotificationHandler(RootsListChangedNotificationSchema, async () => {
+      clientRootsCache.delete(server);
+    });
+
+    servers.add(server);
+    server.onclose = () => {
+      servers.delete(server);
+      for (const uri of Array.from(resourceSubscriptions.keys())) {
+        removeSubscription(uri, server);
+      }
+    };
+    return server;
+  }
+
+  // HTTP 요청 본문을 JSON으로 읽기
+  function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > HTTP_MAX_BODY_SIZE) {
+          reject(Object.assign(new Error(`Request body exceeds ${HTTP_MAX_BODY_SIZE} bytes`), { status: 413 }));
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => {
+        try {
+          resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+        } catch (error) {
+          reject(Object.assign(new Error(`Invalid JSON: ${error.message}`), { status: 400, code: ErrorCode.ParseError }));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  function sendJsonRpcError(res, status, code, message) {
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ jsonrpc: "2.0", error: { code, message }, id: null }));
+  }
+
+  // Streamable HTTP (/mcp)와 이전 방식의 SSE (/sse, /messages) 전송 시작
+  // 연결(세션)마다 서버 인스턴스를 만들고, 백그라운드 프로세스와 셸 세션은 모든 연결이 공유
+  async function startHttpServer({ host = '127.0.0.1', port = 3000, authToken } = {}) {
+    const token = authToken || randomBytes(24).toString('hex');
+    if (!authToken) {
+      console.error(`BASH_MCP_AUTH_TOKEN is not set, generated token: ${token}`);
+    }
+    const expected = Buffer.from(`Bearer ${token}`);
+    const isAuthorized = (req) => {
+      const header = Buffer.from(req.headers.authorization || '');
+      return header.length === expected.length && timingSafeEqual(header, expected);
+    };
+
+    // 세션 ID -> 전송 객체
+    const transports = new Map();
+
+    const handleStreamableRequest = async (req, res) => {
+      const body = req.method === 'POST' ? await readJsonBody(req) : undefined;
+      const sessionId = req.headers['mcp-session-id'];
+      let transport = sessionId ? transports.get(sessionId) : undefined;
+
+      if (sessionId && !(transport instanceof StreamableHTTPServerTransport)) {
+        sendJsonRpcError(res, 404, -32001, `Session not found: ${sessionId}`);
+        return;
+      }
+      if (!transport) {
+        if (!isInitializeRequest(body)) {
+          sendJsonRpcError(res, 400, -32000, "Bad Request: No valid session ID provided");
+          return;
+        }
+        transport = new StreamableHTTPServerTransport({
+          sessionIdGenerator: () => randomUUID(),
+          onsessioninitialized: (id) => {
+            transports.set(id, transport);
+            console.error(`HTTP session started: ${id}`);
+          },
+        });
+        transport.onclose = () => {
+          if (transport.sessionId && transports.delete(transport.sessionId)) {
+            console.error(`HTTP session closed: ${transport.sessionId}`);
+          }
+        };
+        await createServer().connect(transport);
+      }
+      await transport.handleRequest(req, res, body);
+    };
+
+    const handleSseConnect = async (req, res) => {
+      const transport = new SSEServerTransport('/messages', res);
+      transports.set(transport.sessionId, transport);
+      transport.onclose = () => {
+        transports.delete(transport.sessionId);
+      };
+      await createServer().connect(transport);
+    };
+
+    const handleSseMessage = async (req, res, url) => {
+      const transport = transports.get(url.searchParams.get('sessionId'));
+      if (!(transport instanceof SSEServerTransport)) {
+        sendJsonRpcError(res, 404, -32001, "Session not found");
+        return;
+      }
+      await transport.handlePostMessage(req, res, await readJsonBody(req));
+    };
+
+    const httpServer = http.createServer(async (req, res) => {
+      try {
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+        if (!isAuthorized(req)) {
+          res.setHeader('WWW-Authenticate', 'Bearer');
+          sendJsonRpcError(res, 401, -32000, "Unauthorized");
+          return;
+        }
+
+        if (url.pathname === '/mcp') {
+          await handleStreamableRequest(req, res);
+        } else if (url.pathname === '/sse' && req.method === 'GET') {
+          await handleSseConnect(req, res);
+        } else if (url.pathname === '/messages' && req.method === 'POST') {
+          await handleSseMessage(req, res, url);
+        } else {
+          sendJsonRpcError(res, 404, -32000, "Not found");
+        }
+      } catch (error) {
+        if (!error.status) {
+          console.error("HTTP request error:", error);
+        }
+        sendJsonRpcError(res, error.status || 500, error.code || ErrorCode.InternalError, error.message);
+      }
+    });
+
+    await new Promise((resolve, reject) => {
+      httpServer.once('error', reject);
+      httpServer.listen(port, host, resolve);
+    });
+    httpServers.add(httpServer);
+    httpServer.on('close', () => httpServers.delete(httpServer));
+    const address = httpServer.address();
+    console.error(`Bash MCP Server listening on http://${host}:${address.port}/mcp (legacy SSE: /sse)`);
+    return httpServer;
+  }
+
+  // close()가 시작되면 종료 작업 프로미스
+  let closing = null;
+
+  // 이전 실행에서 남은 오래된 출력 파일 정리 후 주기적으로 반복
+  // 주기적 정리를 끄더라도 인스턴스 디렉토리는 보관 기간의 절반마다 갱신
+  let garbageTimer = null;
+  const ready = tempDirReady.then(() => collectGarbage()).then(() => {
+    if (!closing) {
+      garbageTimer = RETENTION_INTERVAL > 0
+        ? setInterval(() => collectGarbage(), RETENTION_INTERVAL)
+        : setInterval(() => touchOutputDir(), Math.min(Math.max(Math.floor(RETENTION_MAX_AGE / 2), 1000), MAX_TIMER_DELAY));
+      garbageTimer.unref();
+    }
+  });
+
+  // 모든 예약 작업, 백그라운드 프로세스와 세션 정리 (kill_background와 같은 방식으로 프로세스 트리 종료)
+  // 이후 도구 파일 감시, HTTP 서버와 연결된 서버 인스턴스를 닫음
+  function close() {
+    if (closing) {
+      return closing;
+    }
+    closing = (async () => {
+      clearInterval(garbageTimer);
+      if (TOOLS_FILE) {
+        unwatchFile(TOOLS_FILE, onToolsFileChange);
+      }
+
+      const tasks = [];
+      for (const [name, job] of jobs) {
+        tasks.push(cancelJob(job).then(
+          () => console.error(`Cancelled job: ${name}`),
+          () => {} // 무시
+        ));
+      }
+      for (const [name, { info }] of backgroundProcesses) {
+        stopSupervisor(info);
+        if (info.endTime) {
+          continue;
+        }
+        tasks.push(terminateProcessTree(info.pid).then(
+          () => console.error(`Killed background process: ${name}`),
+          () => {} // 무시
+        ));
+      }
+      for (const [name, session] of sessions) {
+        tasks.push(terminateProcessTree(session.pid).then(
+          () => console.error(`Closed session: ${name}`),
+          () => {} // 무시
+        ));
+      }
+      await Promise.all(tasks);
+
+      // 종료된 프로세스의 로그가 파일에 모두 쓰일 때까지 대기 (파이프를 쥔 채 빠져나간 프로세스가 있으면 1초까지만)
+      await Promise.race([
+        Promise.all(Array.from(backgroundProcesses.values(), (entry) => entry.logFinished)),
+        new Promise((resolve) => setTimeout(resolve, 1000).unref()),
+      ]);
+
+      for (const httpServer of httpServers) {
+        httpServer.closeAllConnections?.();
+        await new Promise((resolve) => httpServer.close(() => resolve()));
+      }
+      await Promise.all(Array.from(servers, (server) => server.close().catch(() => {})));
+      // 종료 중에 기록된 감사 로그까지 쓴 뒤 반환
+      await auditQueue;
+    })();
+    return closing;
+  }
+
+  return {
+    server: createServer(),
+    createServer,
+    startHttpServer,
+    reloadTools: reloadCustomTools,
+    ready,
+    close,
+  };
+}
@@ -0,0 +1,194 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer, isAlive, waitUntil } from "./helpers.js";
+
+describe("background processes", () => {
+  let t;
+  before(async () => {
+    t = await startTestServer();
+  });
+  after(() => t.close());
+
+  it("talks to an interactive process through stdin", async () => {
+    const started = await t.call("run_background", { name: "cat", command: "cat", stdin: true });
+    assert.equal(started.success, true);
+    assert.equal(started.logResources.stdout, "bash-mcp://background/cat/stdout");
+
+    const expected = await t.call("expect_background", { name: "cat", input: "ping", pattern: "ping", timeout: 5000 });
+    assert.equal(expected.matched, true);
+
+    const written = await t.call("write_background_stdin", { name: "cat", text: "bye", close: true });
+    assert.equal(written.bytesWritten, 4);
+    assert.equal(written.stdinOpen, false);
+
+    const exited = await t.call("wait_for", { name: "cat", exit: true, timeout: 5000 });
+    assert.equal(exited.success, true);
+    assert.equal(exited.exitCode, 0);
+
+    const output = await t.call("read_background_output", { name: "cat" });
+    assert.equal(output.output, "ping\nbye\n");
+    assert.equal(output.eof, true);
+  });
+
+  it("reports status and filters the process list", async () => {
+    await t.call("run_background", { name: "fail", command: "echo oops >&2; exit 3" });
+    await t.call("wait_for", { name: "fail", exit: true, timeout: 5000 });
+
+    const status = await t.call("get_background_status", { name: "fail" });
+    assert.equal(status.status, "failed");
+    assert.equal(status.exitCode, 3);
+
+    const failed = await t.call("list_background", { status: "failed" });
+    assert.deepEqual(failed.processes.map((process) => process.name), ["fail"]);
+
+    const stderr = await t.call("read_background_output", { name: "fail", stream: "stderr" });
+    assert.equal(stderr.output, "oops\n");
+  });
+
+  it("waits for a line and reads logs as resources", async () => {
+    await t.call("run_background", { name: "lines", command: "for i in 1 2 3; do echo line $i; sleep 0.1; done; echo ready; sleep 30" });
+    const ready = await t.call("wait_for", { name: "lines", pattern: "ready", timeout: 5000 });
+    assert.equal(ready.success, true);
+    assert.equal(ready.condition, "pattern");
+
+    const tail = await t.call("read_background_output", { name: "lines", tail: 2 });
+    assert.equal(tail.output, "line 3\nready");
+
+    const { resources } = await t.client.listResources();
+    assert.ok(resources.some((resource) => resource.uri === "bash-mcp://background/lines/stdout"));
+    const resource = await t.client.readResource({ uri: "bash-mcp://background/lines/stdout" });
+    assert.match(resource.contents[0].text, /^line 1\n/);
+  });
+
+  it("redacts secrets in expect output and log files", async () => {
+    const half = "a".repeat(18);
+    // 비밀값이 두 번의 쓰기로 나뉘어 출력되는 경우
+    await t.call("run_background", { name: "secret", command: `printf 'token ghp_${half}'; sleep 0.2; echo '${half}'; echo done; sleep 30` });
+    const expected = await t.call("expect_background", { name: "secret", pattern: "done", timeout: 5000 });
+    assert.equal(expected.matched, true);
+    assert.ok(!expected.output.includes(half + half));
+    assert.ok(expected.redactions >= 1);
+
+    const output = await t.call("read_background_output", { name: "secret" });
+    assert.equal(output.output, "token [REDACTED:github-token]\ndone\n");
+    const interleaved = await t.call("read_background_output", { name: "secret", stream: "interleaved" });
+    assert.ok(!interleaved.output.includes(half));
+    await t.call("kill_background", { name: "secret" });
+  });
+
+  it("kills the whole process tree", async () => {
+    const started = await t.call("run_background", { name: "tree", command: "sleep 30 & sleep 30 & wait" });
+    await t.call("wait_for", { name: "tree", pattern: "never", timeout: 300 });
+
+    const killed = await t.call("kill_background", { name: "tree" });
+    assert.equal(killed.success, true);
+    assert.ok(killed.terminated.length >= 1);
+
+    const exited = await t.call("wait_for", { name: "tree", exit: true, timeout: 5000 });
+    assert.equal(exited.running, false);
+    assert.equal(isAlive(started.pid), false);
+  });
+
+  it("rejects unknown signals without touching the process", async () => {
+    const started = await t.call("run_background", { name: "signal", command: "sleep 30" });
+    const result = await t.call("kill_background", { name: "signal", signal: "SIGBOGUS" });
+    assert.equal(result.success, false);
+    assert.match(result.error, /Unknown signal 'SIGBOGUS'/);
+    assert.equal(isAlive(started.pid), true);
+
+    const killed = await t.call("kill_background", { name: "signal", signal: "SIGINT" });
+    assert.equal(killed.success, true);
+  });
+
+  it("rejects duplicate names and unknown processes", async () => {
+    await t.call("run_background", { name: "dup", command: "sleep 30" });
+    const duplicate = await t.call("run_background", { name: "dup", command: "sleep 30" });
+    assert.equal(duplicate.success, false);
+
+    const missing = await t.call("get_background_status", { name: "missing" });
+    assert.equal(missing.success, false);
+  });
+});
+
+describe("sessions", () => {
+  let t;
+  before(async () => {
+    t = await startTestServer();
+  });
+  after(() => t.close());
+
+  it("keeps working directory and variables between commands", async () => {
+    const started = await t.call("session_start", { name: "s1", cwd: t.dir });
+    assert.equal(started.success, true);
+
+    await t.call("session_run", { session: "s1", command: "mkdir sub && cd sub; X=5" });
+    const result = await t.call("session_run", { session: "s1", command: 'echo "$X $(basename $PWD)"' });
+    assert.equal(result.stdout, "5 sub\n");
+    assert.equal(result.cwd.endsWith("/sub"), true);
+
+    const failed = await t.call("session_run", { session: "s1", command: "false" });
+    assert.equal(failed.success, false);
+    assert.equal(failed.code, 1);
+
+    const list = await t.call("session_list");
+    assert.equal(list.sessions[0].commandCount, 3);
+  });
+
+  it("finds the end of commands whose output arrives in many chunks", async () => {
+    await t.call("session_start", { name: "chunks" });
+    const result = await t.call("session_run", { session: "chunks", command: "for i in $(seq 1 2000); do printf '%05d' $i; echo -n x >&2; done; seq 1 100000 | tail -n 1", timeout: 20000 });
+    assert.equal(result.success, true);
+    assert.equal(result.code, 0);
+    assert.ok(result.stdout.endsWith("02000100000\n"));
+    assert.equal(result.stderr.length > 0, true);
+    await t.call("session_close", { session: "chunks" });
+  });
+
+  it("terminates the session when a command times out", async () => {
+    await t.call("session_start", { name: "s2" });
+    const slow = await t.call("session_run", { session: "s2", command: "sleep 10", timeout: 300 });
+    assert.equal(slow.success, false);
+    assert.equal(slow.sessionClosed, true);
+
+    const list = await t.call("session_list");
+    assert.ok(!list.sessions.some((session) => session.name === "s2"));
+  });
+
+  it("stops only the running command when session_run is cancelled", async () => {
+    const started = await t.call("session_start", { name: "s4" });
+    await t.call("session_run", { session: "s4", command: "KEEP=kept" });
+
+    const controller = new AbortController();
+    const pending = t.call("session_run", { session: "s4", command: "sleep 30", timeout: 60000 }, { signal: controller.signal });
+    await waitUntil(async () => (await t.call("session_list")).sessions.some((session) => session.name === "s4" && session.busy));
+    controller.abort();
+    await assert.rejects(pending);
+
+    const result = await waitUntil(async () => {
+      const next = await t.call("session_run", { session: "s4", command: "echo $KEEP" });
+      return next.success && next;
+    });
+    assert.equal(result.stdout, "kept\n");
+    assert.equal(isAlive(started.pid), true);
+  });
+
+  it("fails to start in a missing working directory", async () => {
+    const result = await t.call("session_start", { name: "missing-cwd", cwd: "/nonexistent/bash-mcp" });
+    assert.equal(result.success, false);
+    assert.match(result.error, /does not exist/);
+
+    const list = await t.call("session_list");
+    assert.ok(!list.sessions.some((session) => session.name === "missing-cwd"));
+  });
+
+  it("closes sessions", async () => {
+    const started = await t.call("session_start", { name: "s3" });
+    const closed = await t.call("session_close", { session: "s3" });
+    assert.equal(closed.success, true);
+
+    const result = await t.call("session_run", { session: "s3", command: "true" });
+    assert.equal(result.success, false);
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    assert.equal(isAlive(started.pid), false);
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import { ToolListChangedNotificationSchema } from "@modelcontextprotocol/sdk/types.js";
+import { startTestServer } from "./helpers.js";
+
+const TOOLS = `
+tools:
+  - name: greet
+    description: Print a greeting
+    command: "printf '%s\\\\n' {{name}}{{#loud}} LOUD{{/loud}}"
+    parameters:
+      type: object
+      properties:
+        name: { type: string, maxLength: 40 }
+        loud: { type: boolean, default: false }
+      required: [name]
+  - name: count_args
+    description: Count arguments
+    command: "set -- {{items}}; echo $#"
+    parameters:
+      type: object
+      properties:
+        items: { type: array, items: { type: string } }
+`;
+
+describe("custom tools", () => {
+  let t;
+  let configDir;
+  let toolsFile;
+  before(async () => {
+    configDir = await mkdtemp(join(tmpdir(), "bash-mcp-tools-"));
+    toolsFile = join(configDir, "tools.yaml");
+    await writeFile(toolsFile, TOOLS);
+    t = await startTestServer({ toolsFile, env: { BASH_MCP_TOOLS_FILE_POLL_INTERVAL: "0" } });
+  });
+  after(async () => {
+    await t.close();
+    await rm(configDir, { recursive: true, force: true });
+  });
+
+  it("lists custom tools next to the built-in ones", async () => {
+    const { tools } = await t.client.listTools();
+    const greet = tools.find((tool) => tool.name === "greet");
+    assert.equal(greet.description, "Print a greeting");
+    assert.deepEqual(greet.inputSchema.required, ["name"]);
+    assert.ok(tools.some((tool) => tool.name === "run"));
+  });
+
+  it("shell-escapes arguments", async () => {
+    const result = await t.call("greet", { name: "$(id); 'quoted' `x`" });
+    assert.equal(result.success, true);
+    assert.equal(result.stdout, "$(id); 'quoted' `x`\n");
+
+    const loud = await t.call("greet", { name: "a", loud: true });
+    assert.equal(loud.stdout, "a\nLOUD\n");
+
+    const counted = await t.call("count_args", { items: ["a b", "c", ""] });
+    assert.equal(counted.stdout, "3\n");
+  });
+
+  it("validates arguments", async () => {
+    const missing = await t.call("greet", {});
+    assert.equal(missing.success, false);
+    assert.match(missing.error, /name/);
+
+    const unknown = await t.call("greet", { name: "a", extra: 1 });
+    assert.equal(unknown.success, false);
+
+    const tooLong = await t.call("greet", { name: "x".repeat(41) });
+    assert.equal(tooLong.success, false);
+  });
+
+  it("reloads the file and notifies clients", async () => {
+    let notified = false;
+    t.client.setNotificationHandler(ToolListChangedNotificationSchema, () => {
+      notified = true;
+    });
+
+    await writeFile(toolsFile, "tools:\n  - name: hello\n    command: echo hello\n");
+    await t.instance.reloadTools();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.equal(notified, true);
+
+    const { tools } = await t.client.listTools();
+    assert.ok(tools.some((tool) => tool.name === "hello"));
+    assert.ok(!tools.some((tool) => tool.name === "greet"));
+    assert.equal((await t.call("hello")).stdout, "hello\n");
+
+    // 잘못된 파일은 무시하고 이전 도구 유지
+    await writeFile(toolsFile, "tools:\n  - name: run\n    command: echo clash\n");
+    await t.instance.reloadTools();
+    assert.equal((await t.call("hello")).stdout, "hello\n");
+  });
+});
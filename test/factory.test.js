@@ -0,0 +1,183 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, mkdir, rm, utimes, writeFile } from "fs/promises";
+import { existsSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { createBashMcpServer } from "../server.js";
+import { startTestServer, isAlive } from "./helpers.js";
+
+describe("createBashMcpServer", () => {
+  it("applies explicit options over environment variables", async () => {
+    const t = await startTestServer({ maxOutputSize: 3000, defaultShell: "sh", env: { BASH_MCP_MAX_OUTPUT_SIZE: "100000" } });
+    try {
+      const result = await t.call("run", { command: "seq 1 5000" });
+      assert.equal(result.overflow, true);
+      assert.ok(Buffer.byteLength(JSON.stringify(result, null, 2)) <= 3000);
+
+      const shell = await t.call("run", { command: "echo ${BASH_VERSION:-none}" });
+      assert.equal(shell.stdout, "none\n");
+    } finally {
+      await t.close();
+    }
+  });
+
+  it("passes baseEnv instead of process.env to commands", async () => {
+    const secret = "base-env-secret-value";
+    const t = await startTestServer({ baseEnv: { PATH: process.env.PATH, GREETING: "from-base", API_TOKEN: secret } });
+    try {
+      const result = await t.call("run", { command: `echo "$GREETING:\${API_TOKEN:-unset}:\${HOME:-nohome}"; echo ${secret}` });
+      assert.equal(result.stdout, "from-base:unset:nohome\n[REDACTED:env:API_TOKEN]\n");
+    } finally {
+      await t.close();
+    }
+  });
+
+  it("stops background processes, sessions and jobs on close", async () => {
+    const t = await startTestServer();
+    const background = await t.call("run_background", { name: "sleeper", command: "sleep 30" });
+    const session = await t.call("session_start", { name: "s" });
+    await t.call("schedule_job", { name: "job", command: "true", interval: 60000 });
+
+    await t.close();
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    assert.equal(isAlive(background.pid), false);
+    assert.equal(isAlive(session.pid), false);
+  });
+
+  it("serves several clients from one instance", async () => {
+    const t = await startTestServer();
+    try {
+      const { Client } = await import("@modelcontextprotocol/sdk/client/index.js");
+      const { InMemoryTransport } = await import("@modelcontextprotocol/sdk/inMemory.js");
+      const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+      const second = new Client({ name: "second", version: "1.0.0" });
+      await Promise.all([t.instance.createServer().connect(serverTransport), second.connect(clientTransport)]);
+
+      await t.call("run_background", { name: "shared", command: "sleep 30" });
+      const result = await second.callTool({ name: "list_background", arguments: {} });
+      assert.equal(JSON.parse(result.content[0].text).processes[0].name, "shared");
+      await second.close();
+    } finally {
+      await t.close();
+    }
+  });
+
+  it("throws on an invalid policy file", async () => {
+    const dir = await mkdtemp(join(tmpdir(), "bash-mcp-policy-"));
+    try {
+      const policyFile = join(dir, "policy.yaml");
+      await writeFile(policyFile, "rules: [");
+      assert.throws(() => createBashMcpServer({ policyFile, tempDir: dir, env: {} }), /BASH_MCP_POLICY_FILE/);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe("hooks", () => {
+  it("blocks commands when beforeExecute returns false or throws", async () => {
+    const seen = [];
+    const t = await startTestServer({
+      hooks: {
+        beforeExecute(context) {
+          seen.push(context);
+          if (context.command.includes("forbidden")) {
+            return false;
+          }
+          if (context.command.includes("broken")) {
+            throw new Error("hook failed");
+          }
+        },
+      },
+    });
+    try {
+      const allowed = await t.call("run", { command: "echo ok", cwd: t.dir });
+      assert.equal(allowed.stdout, "ok\n");
+      assert.deepEqual(seen[0], { tool: "run", command: "echo ok", cwd: t.dir });
+
+      const blocked = await t.call("run", { command: "echo forbidden" });
+      assert.equal(blocked.success, false);
+      assert.equal(blocked.blocked, true);
+      assert.equal(blocked.stdout, "");
+
+      const failed = await t.call("run_background", { name: "b", command: "echo broken" });
+      assert.equal(failed.success, false);
+      assert.match(failed.error, /hook failed/);
+
+      await t.call("session_start", { name: "s" });
+      const session = await t.call("session_run", { session: "s", command: "echo forbidden" });
+      assert.equal(session.blocked, true);
+
+      const audit = await t.call("audit_query", { status: "blocked" });
+      assert.ok(audit.count >= 2);
+    } finally {
+      await t.close();
+    }
+  });
+
+  it("passes results to afterExecute", async () => {
+    const results = [];
+    const t = await startTestServer({
+      hooks: {
+        async afterExecute(context) {
+          results.push(context);
+          throw new Error("ignored");
+        },
+      },
+    });
+    try {
+      const result = await t.call("run", { command: "echo done; exit 2" });
+      assert.equal(result.code, 2);
+      assert.equal(results.length, 1);
+      assert.equal(results[0].tool, "run");
+      assert.equal(results[0].result.stdout, "done\n");
+      assert.equal(results[0].result.code, 2);
+
+      await t.call("run_background", { name: "bg", command: "echo bg" });
+      await t.call("wait_for", { name: "bg", exit: true, timeout: 5000 });
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      const background = results.find((entry) => entry.tool === "run_background");
+      assert.equal(background.result.exitCode, 0);
+    } finally {
+      await t.close();
+    }
+  });
+});
+
+describe("output retention", () => {
+  it("only removes this instance's unreferenced files and stale instance directories", async () => {
+    const t = await startTestServer({
+      env: { BASH_MCP_RETENTION_MAX_AGE: "60000", BASH_MCP_RETENTION_MAX_SIZE: "1", BASH_MCP_RETENTION_INTERVAL: "100" },
+    });
+    try {
+      // 다른 인스턴스의 파일: 실행 중인 인스턴스의 디렉토리, 오래된 디렉토리, 최상위 파일
+      const liveDir = join(t.dir, "bash-mcp-1-0000beef");
+      const staleDir = join(t.dir, "bash-mcp-2-0000dead");
+      const foreignFile = join(t.dir, "bash-mcp-run-output-foreign.txt");
+      await mkdir(liveDir);
+      await writeFile(join(liveDir, "bash-mcp-run-output-live.txt"), "live");
+      await mkdir(staleDir);
+      await writeFile(join(staleDir, "bash-mcp-run-output-stale.txt"), "stale");
+      const past = new Date(Date.now() - 120000);
+      await utimes(staleDir, past, past);
+      await writeFile(foreignFile, "foreign");
+
+      await t.call("run_background", { name: "done", command: "echo kept" });
+      await t.call("wait_for", { name: "done", exit: true, timeout: 5000 });
+      const overflow = await t.call("run", { command: "seq 1 20000", max_output: 2000 });
+      assert.equal(overflow.overflow, true);
+
+      await new Promise((resolve) => setTimeout(resolve, 500));
+      assert.equal(existsSync(staleDir), false);
+      assert.equal(existsSync(join(liveDir, "bash-mcp-run-output-live.txt")), true);
+      assert.equal(existsSync(foreignFile), true);
+      assert.equal(existsSync(overflow.details.stdout.filePath), false);
+
+      const output = await t.call("read_background_output", { name: "done" });
+      assert.equal(output.output, "kept\n");
+    } finally {
+      await t.close();
+    }
+  });
+});
@@ -0,0 +1,75 @@
+import { mkdtemp, rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { createBashMcpServer } from "../server.js";
+
+// 테스트마다 별도 임시 디렉토리와 감사 로그를 쓰는 서버를 만들고 메모리 전송으로 클라이언트 연결
+// env를 비워 두어 테스트를 실행하는 셸의 BASH_MCP_* 설정이 섞이지 않게 함
+export async function startTestServer(options = {}, { capabilities = {} } = {}) {
+  const dir = await mkdtemp(join(tmpdir(), "bash-mcp-test-"));
+  const instance = createBashMcpServer({
+    tempDir: dir,
+    auditLog: join(dir, "audit.jsonl"),
+    env: {},
+    ...options,
+  });
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  const client = new Client({ name: "bash-mcp-test", version: "1.0.0" }, { capabilities });
+  await Promise.all([instance.server.connect(serverTransport), client.connect(clientTransport)]);
+  await instance.ready;
+
+  // 도구를 호출하고 JSON 응답을 객체로 반환
+  const call = async (name, args = {}, requestOptions) => {
+    const result = await client.callTool({ name, arguments: args }, undefined, requestOptions);
+    return JSON.parse(result.content[0].text);
+  };
+
+  return {
+    instance,
+    client,
+    call,
+    dir,
+    async close() {
+      await instance.close();
+      await client.close();
+      await rm(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+// 프로세스가 살아 있는지 확인
+export function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// 조건이 참이 될 때까지 주기적으로 확인하고 마지막 값을 반환 (시간 초과 시 예외)
+export async function waitUntil(check, { timeout = 5000, interval = 50 } = {}) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const value = await check();
+    if (value) {
+      return value;
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`Condition not met within ${timeout}ms`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, interval));
+  }
+}
+
+// 프로세스 그룹에 살아 있는 프로세스가 있는지 확인
+export function isGroupAlive(pgid) {
+  try {
+    process.kill(-pgid, 0);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
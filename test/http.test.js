@@ -0,0 +1,77 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StreamableHTTPClientTransport } from "@modelcontextprotocol/sdk/client/streamableHttp.js";
+import { SSEClientTransport } from "@modelcontextprotocol/sdk/client/sse.js";
+import { startTestServer } from "./helpers.js";
+
+const TOKEN = "test-token";
+
+describe("HTTP transport", () => {
+  let t;
+  let baseUrl;
+  before(async () => {
+    t = await startTestServer();
+    const httpServer = await t.instance.startHttpServer({ host: "127.0.0.1", port: 0, authToken: TOKEN });
+    baseUrl = `http://127.0.0.1:${httpServer.address().port}`;
+  });
+  after(() => t.close());
+
+  // 지정한 전송으로 연결해 run을 호출하고 JSON 응답을 객체로 반환
+  const runOver = async (transport, command) => {
+    const client = new Client({ name: "bash-mcp-http-test", version: "1.0.0" });
+    await client.connect(transport);
+    try {
+      const result = await client.callTool({ name: "run", arguments: { command } });
+      return JSON.parse(result.content[0].text);
+    } finally {
+      await client.close();
+    }
+  };
+
+  it("rejects requests without a valid bearer token", async () => {
+    for (const headers of [{}, { Authorization: "Bearer wrong-token" }, { Authorization: TOKEN }]) {
+      const response = await fetch(`${baseUrl}/mcp`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...headers },
+        body: JSON.stringify({ jsonrpc: "2.0", id: 1, method: "tools/list" }),
+      });
+      assert.equal(response.status, 401);
+      assert.equal(response.headers.get("www-authenticate"), "Bearer");
+      const body = await response.json();
+      assert.equal(body.error.message, "Unauthorized");
+    }
+
+    const sse = await fetch(`${baseUrl}/sse`);
+    assert.equal(sse.status, 401);
+    await sse.body?.cancel();
+  });
+
+  it("runs commands over Streamable HTTP", async () => {
+    const transport = new StreamableHTTPClientTransport(new URL(`${baseUrl}/mcp`), {
+      requestInit: { headers: { Authorization: `Bearer ${TOKEN}` } },
+    });
+    const result = await runOver(transport, "echo over-http");
+    assert.equal(result.success, true);
+    assert.equal(result.stdout, "over-http\n");
+  });
+
+  it("runs commands over the legacy SSE endpoint", async () => {
+    const transport = new SSEClientTransport(new URL(`${baseUrl}/sse`), {
+      requestInit: { headers: { Authorization: `Bearer ${TOKEN}` } },
+    });
+    const result = await runOver(transport, "echo over-sse");
+    assert.equal(result.success, true);
+    assert.equal(result.stdout, "over-sse\n");
+  });
+
+  it("rejects session ids it does not know", async () => {
+    const response = await fetch(`${baseUrl}/mcp`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Accept: "application/json, text/event-stream", Authorization: `Bearer ${TOKEN}`, "Mcp-Session-Id": "missing" },
+      body: JSON.stringify({ jsonrpc: "2.0", id: 1, method: "tools/list" }),
+    });
+    assert.equal(response.status, 404);
+    await response.body?.cancel();
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer } from "./helpers.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("scheduled jobs", () => {
+  let t;
+  before(async () => {
+    t = await startTestServer();
+  });
+  after(() => t.close());
+
+  it("runs interval jobs and keeps their history", async () => {
+    const scheduled = await t.call("schedule_job", { name: "tick", command: "echo tick", interval: 1000 });
+    assert.equal(scheduled.success, true);
+    assert.deepEqual(scheduled.job.schedule, { interval: 1000 });
+    assert.equal(scheduled.job.runs, 0);
+
+    await sleep(1300);
+    const history = await t.call("job_history", { name: "tick" });
+    assert.equal(history.count, 1);
+    assert.equal(history.entries[0].success, true);
+    assert.equal(history.entries[0].stdout, "tick\n");
+
+    const list = await t.call("list_jobs");
+    assert.deepEqual(list.jobs.map((job) => [job.name, job.runs]), [["tick", 1]]);
+
+    const cancelled = await t.call("cancel_job", { name: "tick" });
+    assert.equal(cancelled.success, true);
+    assert.equal(cancelled.job.nextRun, null);
+    assert.equal((await t.call("list_jobs")).count, 0);
+  });
+
+  it("computes the next run of cron jobs", async () => {
+    const scheduled = await t.call("schedule_job", { name: "nightly", command: "true", cron: "30 2 * * mon-fri" });
+    assert.equal(scheduled.success, true);
+    const next = new Date(scheduled.job.nextRun);
+    assert.equal(next.getHours(), 2);
+    assert.equal(next.getMinutes(), 30);
+    assert.ok(next.getDay() >= 1 && next.getDay() <= 5);
+    await t.call("cancel_job", { name: "nightly" });
+  });
+
+  it("rejects invalid schedules", async () => {
+    const badCron = await t.call("schedule_job", { name: "bad", command: "true", cron: "61 * * * *" });
+    assert.equal(badCron.success, false);
+    assert.match(badCron.error, /minute/);
+
+    const both = await t.call("schedule_job", { name: "bad", command: "true", cron: "* * * * *", interval: 1000 });
+    assert.equal(both.success, false);
+
+    const missing = await t.call("cancel_job", { name: "missing" });
+    assert.equal(missing.success, false);
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { execSync } from "child_process";
+import { mkdtemp, rm } from "fs/promises";
+import { existsSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { startTestServer } from "./helpers.js";
+
+const succeeds = (command) => {
+  try {
+    execSync(command, { stdio: "ignore", timeout: 10000 });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const hasPrlimit = process.platform === "linux" && succeeds("command -v prlimit");
+// bwrap이 없으면 unshare로 읽기 전용 재마운트가 가능한지 확인 (사용자 네임스페이스가 막혀 있으면 건너뜀)
+const hasSandbox = process.platform === "linux" && (succeeds("bwrap --ro-bind / / true")
+  || succeeds("unshare --mount --map-root-user --propagation private /bin/sh -c 'mount -o remount,bind,ro /'"));
+
+describe("resource limits", { skip: !hasPrlimit && "prlimit is not available" }, () => {
+  let t;
+  before(async () => {
+    t = await startTestServer();
+  });
+  after(() => t.close());
+
+  it("reports an exceeded file size limit", async () => {
+    const result = await t.call("run", { command: "head -c 2097152 /dev/zero > big.bin", cwd: t.dir, limits: { file_size_mb: 1 } });
+    assert.equal(result.success, false);
+    assert.deepEqual(result.limits, { file_size_mb: 1 });
+    assert.equal(result.limitExceeded.limit, "file_size_mb");
+    assert.match(result.error, /File size limit of 1MB exceeded/);
+  });
+
+  it("reports an exceeded CPU time limit", async () => {
+    const result = await t.call("run", { command: "while :; do :; done", limits: { cpu_seconds: 1 }, timeout: 20000 });
+    assert.equal(result.success, false);
+    assert.equal(result.limitExceeded.limit, "cpu_seconds");
+  });
+
+  it("leaves commands within the limits alone", async () => {
+    const result = await t.call("run", { command: "echo fine", limits: { file_size_mb: 1, nice: 5 } });
+    assert.equal(result.success, true);
+    assert.equal(result.stdout, "fine\n");
+    assert.equal(result.limitExceeded, undefined);
+  });
+});
+
+describe("sandbox", { skip: !hasSandbox && "neither bwrap nor unprivileged unshare is available" }, () => {
+  let t;
+  let root;
+  let outside;
+  before(async () => {
+    root = await mkdtemp(join(tmpdir(), "bash-mcp-root-"));
+    outside = await mkdtemp(join(tmpdir(), "bash-mcp-outside-"));
+    t = await startTestServer({ roots: [root], env: { BASH_MCP_SANDBOX: "1" } });
+  });
+  after(async () => {
+    await t.close();
+    await rm(root, { recursive: true, force: true });
+    await rm(outside, { recursive: true, force: true });
+  });
+
+  it("allows writes inside the roots only", async () => {
+    const inside = await t.call("run", { command: "echo ok > inside.txt && cat inside.txt" });
+    assert.equal(inside.success, true);
+    assert.equal(inside.stdout, "ok\n");
+    assert.deepEqual(inside.sandbox.writable, [root]);
+    assert.ok(existsSync(join(root, "inside.txt")));
+
+    const blocked = await t.call("run", { command: `touch ${join(outside, "escaped.txt")}` });
+    assert.equal(blocked.success, false);
+    assert.match(blocked.stderr, /Read-only file system/);
+    assert.ok(!existsSync(join(outside, "escaped.txt")));
+  });
+
+  it("can still read the script file of run_script", async () => {
+    const result = await t.call("run_script", { script: `echo from-script\ntouch ${join(outside, "script.txt")} 2>/dev/null || echo denied` });
+    assert.equal(result.success, true);
+    assert.equal(result.stdout, "from-script\ndenied\n");
+  });
+
+  it("confines persistent sessions", async () => {
+    const started = await t.call("session_start", { name: "sandboxed" });
+    assert.equal(started.success, true);
+    assert.ok(["bwrap", "unshare"].includes(started.sandbox.type));
+
+    const result = await t.call("session_run", { session: "sandboxed", command: `touch ${join(outside, "session.txt")} 2>/dev/null || echo denied` });
+    assert.equal(result.stdout, "denied\n");
+    assert.ok(!existsSync(join(outside, "session.txt")));
+  });
+});
+
@@ -0,0 +1,223 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm, stat, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import { startTestServer, waitUntil, isGroupAlive } from "./helpers.js";
+
+describe("run", () => {
+  let t;
+  before(async () => {
+    t = await startTestServer();
+  });
+  after(() => t.close());
+
+  it("lists the built-in tools", async () => {
+    const { tools } = await t.client.listTools();
+    const names = tools.map((tool) => tool.name);
+    for (const name of ["run", "run_script", "run_many", "run_background", "session_run", "schedule_job", "audit_query"]) {
+      assert.ok(names.includes(name), `${name} is listed`);
+    }
+  });
+
+  it("returns stdout and stderr", async () => {
+    const result = await t.call("run", { command: "echo out; echo err >&2" });
+    assert.equal(result.success, true);
+    assert.equal(result.stdout, "out\n");
+    assert.equal(result.stderr, "err\n");
+  });
+
+  it("returns structured content", async () => {
+    const result = await t.client.callTool({ name: "run", arguments: { command: "echo hi" } });
+    assert.equal(result.structuredContent.stdout, "hi\n");
+  });
+
+  it("reports the exit code of failed commands", async () => {
+    const result = await t.call("run", { command: "echo bad >&2; exit 3" });
+    assert.equal(result.success, false);
+    assert.equal(result.code, 3);
+    assert.equal(result.stderr, "bad\n");
+  });
+
+  it("runs in the given cwd with extra environment variables", async () => {
+    const result = await t.call("run", { command: "pwd; echo $GREETING", cwd: t.dir, env: { GREETING: "hello" } });
+    assert.equal(result.stdout, `${t.dir}\nhello\n`);
+  });
+
+  it("kills commands that exceed the timeout", async () => {
+    const result = await t.call("run", { command: "sleep 5", timeout: 300 });
+    assert.equal(result.success, false);
+    assert.match(result.error, /timed out/);
+  });
+
+  it("kills the process group of a cancelled command and records the cancellation", async () => {
+    const pidFile = join(t.dir, "cancelled.pid");
+    const controller = new AbortController();
+    const pending = t.call("run", { command: `echo $$ > ${pidFile}; sleep 30 & sleep 30; wait`, timeout: 60000 }, { signal: controller.signal });
+    const pid = await waitUntil(async () => Number(await readFile(pidFile, "utf8").catch(() => "")));
+    controller.abort();
+    await assert.rejects(pending);
+
+    await waitUntil(() => !isGroupAlive(pid));
+    const entry = await waitUntil(async () => {
+      const audit = await t.call("audit_query", { tool: "run", command: "cancelled\\.pid" });
+      return audit.entries.find((candidate) => candidate.cancelled);
+    });
+    assert.equal(entry.cancelled, true);
+  });
+
+  it("parses JSON output", async () => {
+    const result = await t.call("run", { command: `echo '{"a": [1, 2]}'`, parse: "json" });
+    assert.deepEqual(result.parsed, { a: [1, 2] });
+    assert.equal(result.stdout, "");
+  });
+
+  it("truncates long output and exposes the full output as a resource", async () => {
+    const result = await t.call("run", { command: "seq 1 20000", max_output: 4000 });
+    assert.equal(result.overflow, true);
+    assert.ok(result.stdout.startsWith("1\n2\n"));
+    assert.ok(result.stdout.includes("\n19999\n20000\n"));
+    const { resourceUri } = result.details.stdout;
+    const resource = await t.client.readResource({ uri: resourceUri });
+    assert.equal(resource.contents[0].text.split("\n").length, 20001);
+  });
+
+  it("redacts secrets from output", async () => {
+    const token = `ghp_${"a".repeat(36)}`;
+    const result = await t.call("run", { command: `echo ${token}` });
+    assert.ok(!result.stdout.includes(token));
+    assert.ok(!result.command.includes(token));
+    assert.ok(result.redactions >= 1);
+  });
+
+  it("redacts values of secret-looking names only", async () => {
+    const plain = "max_tokens=4096 tokenizer=bpe csrf_token_length=32";
+    const result = await t.call("run", { command: `echo '${plain}'; echo 'API_TOKEN=abc123def db_password: hunter22 SIGNING_KEY=k3y-value'` });
+    assert.equal(result.stdout, `${plain}\nAPI_TOKEN=[REDACTED:secret-value] db_password: [REDACTED:secret-value] SIGNING_KEY=[REDACTED:secret-value]\n`);
+  });
+
+  it("records commands in the audit log", async () => {
+    await t.call("run", { command: "echo audited" });
+    const result = await t.call("audit_query", { command: "audited", tool: "run" });
+    assert.equal(result.success, true);
+    assert.ok(result.entries.some((entry) => entry.command === "echo audited" && entry.exitCode === 0));
+    assert.equal((await stat(result.filePath)).mode & 0o777, 0o600);
+  });
+});
+
+describe("policy and roots", () => {
+  let t;
+  let root;
+  before(async () => {
+    root = await mkdtemp(join(tmpdir(), "bash-mcp-root-"));
+    const policyFile = join(root, "policy.yaml");
+    await writeFile(policyFile, "rules:\n  - id: no-rm\n    action: deny\n    program: rm\n");
+    t = await startTestServer({ policyFile, roots: [root] });
+  });
+  after(async () => {
+    await t.close();
+    await rm(root, { recursive: true, force: true });
+  });
+
+  it("denies commands matching a deny rule", async () => {
+    const result = await t.call("run", { command: "rm -rf nothing" });
+    assert.equal(result.success, false);
+    assert.equal(result.rule, "no-rm");
+  });
+
+  // 예약어, 중괄호 그룹, time, 리디렉션, 래퍼 뒤에 숨은 명령도 세그먼트로 인식
+  for (const command of [
+    "if true; then rm -rf nothing; fi",
+    "{ rm -rf nothing; }",
+    "time rm -rf nothing",
+    "time -p rm -rf nothing",
+    "! rm -rf nothing",
+    "for f in a; do rm -f nothing; done",
+    "while false; do :; done; until rm -f nothing; do :; done",
+    "case x in x) rm -f nothing;; esac",
+    "rm>/dev/null -f nothing",
+    "echo ok 2>/dev/null; rm 2>&1 -f nothing",
+    "cat <(rm -f nothing)",
+    "env rm -f nothing",
+    "env -i FOO=1 -u BAR rm -f nothing",
+    "env -S 'rm -f nothing'",
+    "command rm -f nothing",
+    "exec rm -f nothing",
+    "nice -n 5 rm -f nothing",
+    "sudo -u root -- rm -f nothing",
+    "echo nothing | xargs -0 -I {} rm -f {}",
+    "FOO=1 nice env BAR=2 rm -f nothing",
+  ]) {
+    it(`denies a deny-listed program in: ${command}`, async () => {
+      const result = await t.call("run", { command });
+      assert.equal(result.success, false);
+      assert.equal(result.rule, "no-rm");
+    });
+  }
+
+  it("does not treat redirection targets or keywords as programs", async () => {
+    const result = await t.call("run", { command: "echo rm > out.txt; cat < out.txt; for rm in x; do echo $rm; done" });
+    assert.equal(result.success, true);
+    assert.equal(result.stdout, "rm\nx\n");
+  });
+
+  it("ignores internal execution options in run arguments", async () => {
+    const exec = await t.call("run", { command: "echo hi", execCommand: "echo injected" });
+    assert.equal(exec.stdout, "hi\n");
+
+    const policy = await t.call("run", { command: "rm -f nothing", policyCommand: "echo ok" });
+    assert.equal(policy.success, false);
+    assert.equal(policy.rule, "no-rm");
+
+    const script = await t.call("run_script", { script: "rm -f nothing", policyCommand: "echo ok", execCommand: "echo injected" });
+    assert.equal(script.success, false);
+    assert.equal(script.rule, "no-rm");
+  });
+
+  it("rejects working directories outside the roots", async () => {
+    const result = await t.call("run", { command: "pwd", cwd: "/" });
+    assert.equal(result.success, false);
+    assert.equal(result.rejected, true);
+  });
+
+  it("ignores roots given in tool arguments", async () => {
+    const run = await t.call("run", { command: "pwd", cwd: "/etc", roots: ["/etc"] });
+    assert.equal(run.success, false);
+    assert.equal(run.rejected, true);
+
+    const many = await t.call("run_many", { commands: [{ command: "pwd", cwd: "/etc", roots: ["/etc"] }] });
+    assert.equal(many.results[0].rejected, true);
+  });
+
+  it("uses the first root when no cwd is given", async () => {
+    const result = await t.call("run", { command: "pwd" });
+    assert.equal(result.stdout.trim(), root);
+  });
+});
+
+describe("default-deny policy", () => {
+  let t;
+  let dir;
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), "bash-mcp-policy-"));
+    const policyFile = join(dir, "policy.yaml");
+    await writeFile(policyFile, "defaultAction: deny\nrules:\n  - action: allow\n    program: [\"true\", \"false\", \":\", echo, cat, env]\n");
+    t = await startTestServer({ policyFile, roots: [dir] });
+  });
+  after(async () => {
+    await t.close();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it("allows compound commands whose programs are all allowed", async () => {
+    const result = await t.call("run", { command: "if true; then echo yes; else echo no; fi; { echo a; } > out.txt; for x in 1; do cat out.txt; done; while false; do :; done" });
+    assert.equal(result.success, true);
+    assert.equal(result.stdout, "yes\na\n");
+  });
+
+  it("denies programs hidden behind wrappers", async () => {
+    const result = await t.call("run", { command: "env FOO=1 ls" });
+    assert.equal(result.success, false);
+    assert.match(result.error, /Program 'ls' is not allowed/);
+  });
+});
@@ -0,0 +1,142 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { execSync } from "child_process";
+import { createHash } from "crypto";
+import { startTestServer } from "./helpers.js";
+
+const hasPython = (() => {
+  try {
+    execSync("command -v python3", { stdio: "ignore" });
+    return true;
+  } catch (error) {
+    return false;
+  }
+})();
+
+describe("run_script", () => {
+  let t;
+  before(async () => {
+    t = await startTestServer();
+  });
+  after(() => t.close());
+
+  it("passes positional arguments and stdin", async () => {
+    const result = await t.call("run_script", { script: 'echo "$#:$1"\nread line\necho "in=$line"', args: ["a b"], stdin: "hello\n" });
+    assert.equal(result.success, true);
+    assert.equal(result.stdout, "1:a b\nin=hello\n");
+    assert.equal(result.interpreter, "bash");
+  });
+
+  it("reports the failing line in strict mode", async () => {
+    const result = await t.call("run_script", { script: "echo one\nfalse\necho two", strict: true });
+    assert.equal(result.success, false);
+    assert.equal(result.stdout, "one\n");
+    assert.equal(result.failedLine, 2);
+    assert.ok(!result.stderr.includes("__BASH_MCP_ERR_LINE__"));
+  });
+
+  it("runs python scripts and finds the failing line in the traceback", { skip: !hasPython }, async () => {
+    const result = await t.call("run_script", { interpreter: "python3", script: "import sys\nprint(sys.argv[1])\nraise SystemExit(sys.argv[2])", args: ["x", "boom"] });
+    assert.equal(result.success, false);
+    assert.equal(result.stdout, "x\n");
+
+    const failed = await t.call("run_script", { interpreter: "python3", script: "print('a')\n1/0" });
+    assert.equal(failed.failedLine, 2);
+  });
+
+  it("uses the script's shebang", async () => {
+    const result = await t.call("run_script", { script: "#!/bin/sh\necho $0 | grep -c bash-mcp-script" });
+    assert.equal(result.interpreter, "/bin/sh");
+    assert.equal(result.stdout, "1\n");
+  });
+
+  it("records the script in the audit log and passes it to hooks", async () => {
+    const seen = [];
+    const token = `ghp_${"b".repeat(36)}`;
+    const script = `echo audited-script\nTOKEN=${token} true`;
+    const hooked = await startTestServer({ hooks: { beforeExecute: (context) => { seen.push(context); } } });
+    try {
+      const result = await hooked.call("run_script", { script });
+      assert.equal(result.success, true);
+      assert.equal(seen[0].command, "bash <script>");
+      assert.equal(seen[0].script, script);
+
+      const audit = await hooked.call("audit_query", { tool: "run_script" });
+      const [entry] = audit.entries;
+      assert.equal(entry.script.sha256, createHash("sha256").update(script).digest("hex"));
+      assert.match(entry.script.body, /^echo audited-script\n/);
+      assert.ok(!entry.script.body.includes(token));
+    } finally {
+      await hooked.close();
+    }
+  });
+
+  it("does not accept a script body through run arguments", async () => {
+    const seen = [];
+    const hooked = await startTestServer({ hooks: { beforeExecute: (context) => { seen.push(context); } } });
+    try {
+      const result = await hooked.call("run", { command: "echo forged-script", script: "echo something else", processStderr: "x" });
+      assert.equal(result.stdout, "forged-script\n");
+      assert.equal(seen[0].script, undefined);
+
+      const audit = await hooked.call("audit_query", { tool: "run" });
+      assert.equal(audit.entries[0].script, undefined);
+    } finally {
+      await hooked.close();
+    }
+  });
+
+  it("rejects unknown interpreters", async () => {
+    const result = await t.call("run_script", { script: "puts 1", interpreter: "ruby" });
+    assert.equal(result.success, false);
+    assert.match(result.error, /Unknown interpreter/);
+  });
+});
+
+describe("run_many", () => {
+  let t;
+  before(async () => {
+    t = await startTestServer();
+  });
+  after(() => t.close());
+
+  it("returns per-command results and a summary", async () => {
+    const result = await t.call("run_many", {
+      commands: ["echo a", { command: "exit 4", label: "fails" }, { command: "echo $X", env: { X: "x" } }],
+    });
+    assert.equal(result.success, false);
+    assert.deepEqual(
+      { total: result.summary.total, succeeded: result.summary.succeeded, failed: result.summary.failed },
+      { total: 3, succeeded: 2, failed: 1 }
+    );
+    assert.deepEqual(result.results.map((entry) => [entry.label, entry.code, entry.stdout]), [["1", 0, "a\n"], ["fails", 4, ""], ["3", 0, "x\n"]]);
+  });
+
+  it("cancels the remaining commands with fail_fast", async () => {
+    const result = await t.call("run_many", {
+      commands: ["sleep 5", "sleep 0.2; false", "echo skipped"],
+      concurrency: 2,
+      fail_fast: true,
+    });
+    assert.equal(result.summary.failed, 1);
+    assert.equal(result.summary.cancelled, 1);
+    assert.equal(result.summary.skipped, 1);
+    assert.ok(result.summary.durationMs < 4000);
+  });
+
+  it("ignores internal execution options in commands", async () => {
+    const result = await t.call("run_many", {
+      commands: [{ command: "echo a", execCommand: "echo injected", label: "item" }],
+      execCommand: "echo injected-default",
+    });
+    assert.equal(result.results[0].label, "item");
+    assert.equal(result.results[0].stdout, "a\n");
+  });
+
+  it("shares one output budget between commands", async () => {
+    const result = await t.call("run_many", { commands: ["seq 1 20000", "echo small"], max_output: 6000 });
+    assert.equal(result.results[0].overflow, true);
+    assert.equal(result.results[1].stdout, "small\n");
+    assert.ok(Buffer.byteLength(JSON.stringify(result, null, 2)) <= 6000);
+  });
+});
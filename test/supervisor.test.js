@@ -0,0 +1,139 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "net";
+import { startTestServer, isAlive } from "./helpers.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// 조건이 충족될 때까지 상태를 다시 조회
+async function waitForStatus(t, name, predicate, timeout = 5000) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const status = await t.call("get_background_status", { name });
+    if (predicate(status) || Date.now() > deadline) {
+      return status;
+    }
+    await sleep(50);
+  }
+}
+
+describe("background process supervisor", () => {
+  let t;
+  before(async () => {
+    t = await startTestServer();
+  });
+  after(() => t.close());
+
+  it("restarts failed processes until max_restarts", async () => {
+    const started = await t.call("run_background", { name: "crash", command: "exit 3", restart: "on-failure", max_restarts: 2, restart_delay: 50 });
+    assert.deepEqual(started.restart, { policy: "on-failure", restarts: 0, maxRestarts: 2, lastFailure: null, nextRestart: null });
+
+    const status = await waitForStatus(t, "crash", (s) => s.restart.gaveUp);
+    assert.equal(status.status, "failed");
+    assert.equal(status.restart.restarts, 2);
+    assert.equal(status.restart.lastFailure.reason, "Exited with code 3");
+    assert.equal(status.restart.lastFailure.exitCode, 3);
+
+    const list = await t.call("list_background");
+    assert.equal(list.processes.find((process) => process.name === "crash").restart.restarts, 2);
+
+    const audit = await t.call("audit_query", { tool: "run_background" });
+    assert.equal(audit.entries.filter((entry) => entry.event === "restart" && entry.name === "crash").length, 2);
+  });
+
+  it("does not restart successful exits with on-failure", async () => {
+    await t.call("run_background", { name: "ok", command: "true", restart: "on-failure", restart_delay: 50 });
+    await sleep(300);
+    const status = await t.call("get_background_status", { name: "ok" });
+    assert.equal(status.status, "exited");
+    assert.equal(status.restart.restarts, 0);
+    assert.equal(status.restart.lastFailure, null);
+  });
+
+  it("backs off exponentially and cancels a pending restart on kill", async () => {
+    await t.call("run_background", { name: "loop", command: "true", restart: "always", restart_delay: 100, max_restart_delay: 400 });
+    const restarting = await waitForStatus(t, "loop", (s) => s.status === "restarting" && s.restart.restarts === 2);
+    const delay = new Date(restarting.restart.nextRestart).getTime() - new Date(restarting.endTime).getTime();
+    // 세 번째 재시작 대기는 100 * 2^2 = 400ms (예약 시점이 종료 시점보다 늦을 수 있으므로 하한만 확인)
+    assert.ok(delay >= 400, `third restart delay was ${delay}ms`);
+
+    const killed = await t.call("kill_background", { name: "loop" });
+    assert.equal(killed.success, true);
+    assert.match(killed.message, /Cancelled pending restart/);
+
+    await sleep(500);
+    const status = await t.call("get_background_status", { name: "loop" });
+    assert.equal(status.restart.restarts, 2);
+    assert.equal(status.status, "exited");
+  });
+
+  it("does not restart processes stopped with kill_background", async () => {
+    const started = await t.call("run_background", { name: "server", command: "sleep 30", restart: "always", restart_delay: 50 });
+    await t.call("kill_background", { name: "server" });
+    await sleep(200);
+    const status = await t.call("get_background_status", { name: "server" });
+    assert.equal(status.running, false);
+    assert.equal(status.pid, started.pid);
+    assert.equal(status.restart.restarts, 0);
+  });
+
+  it("treats a pending restart as running", async () => {
+    await t.call("run_background", { name: "pending", command: "exit 1", restart: "on-failure", restart_delay: 5000 });
+    await waitForStatus(t, "pending", (s) => s.status === "restarting");
+    const duplicate = await t.call("run_background", { name: "pending", command: "true" });
+    assert.equal(duplicate.success, false);
+
+    const restarting = await t.call("list_background", { status: "restarting" });
+    assert.deepEqual(restarting.processes.map((process) => process.name), ["pending"]);
+    await t.call("kill_background", { name: "pending" });
+  });
+
+  it("restarts a process whose health check command fails", async () => {
+    const started = await t.call("run_background", {
+      name: "unhealthy",
+      command: "sleep 30",
+      cwd: t.dir,
+      health_check: { command: "test -f healthy", interval: 100, retries: 2 },
+      restart_delay: 50,
+      max_restarts: 1,
+    });
+    assert.equal(started.restart.policy, "on-failure");
+    assert.equal(started.health.status, "starting");
+
+    const status = await waitForStatus(t, "unhealthy", (s) => s.restart.restarts === 1);
+    assert.notEqual(status.pid, started.pid);
+    assert.equal(isAlive(started.pid), false);
+    assert.match(status.restart.lastFailure.reason, /^Health check failed 2 times: command exited with code 1/);
+    await t.call("kill_background", { name: "unhealthy" });
+  });
+
+  it("reports port health without restarting when restart is never", async () => {
+    const listener = createServer().listen(0, "127.0.0.1");
+    await new Promise((resolve) => listener.once("listening", resolve));
+    const { port } = listener.address();
+    try {
+      await t.call("run_background", { name: "port", command: "sleep 30", restart: "never", health_check: { port, interval: 100, retries: 1 } });
+      const healthy = await waitForStatus(t, "port", (s) => s.health.status === "healthy");
+      assert.equal(healthy.health.status, "healthy");
+
+      await new Promise((resolve) => listener.close(resolve));
+      const unhealthy = await waitForStatus(t, "port", (s) => s.health.status === "unhealthy");
+      assert.equal(unhealthy.running, true);
+      assert.match(unhealthy.health.lastError, /not accepting connections/);
+      assert.equal(unhealthy.restart.restarts, 0);
+    } finally {
+      listener.close();
+      await t.call("kill_background", { name: "port" });
+    }
+  });
+
+  it("validates restart options", async () => {
+    const badPolicy = await t.call("run_background", { name: "bad", command: "true", restart: "sometimes" });
+    assert.equal(badPolicy.success, false);
+    assert.match(badPolicy.error, /restart policy/);
+
+    const twoChecks = await t.call("run_background", { name: "bad", command: "true", health_check: { port: 1, url: "http://127.0.0.1:1" } });
+    assert.equal(twoChecks.success, false);
+    assert.match(twoChecks.error, /exactly one/);
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { existsSync } from "fs";
+import { startTestServer } from "./helpers.js";
+
+const LISTENER = `node -e "
+const server = require('net').createServer().listen(0, '127.0.0.1', () => {
+  const socket = require('dgram').createSocket('udp4');
+  socket.bind(0, '127.0.0.1', () => console.log(server.address().port, socket.address().port));
+});
+setInterval(() => {}, 1000);
+" & sleep 30`;
+
+describe("background resource usage", { skip: !existsSync("/proc/self/stat") }, () => {
+  let t;
+  let tcpPort;
+  let udpPort;
+  before(async () => {
+    t = await startTestServer();
+    await t.call("run_background", { name: "listener", command: LISTENER });
+    const ready = await t.call("wait_for", { name: "listener", pattern: "\\d+ \\d+", timeout: 10000 });
+    [tcpPort, udpPort] = ready.excerpt.trim().split(" ").map(Number);
+  });
+  after(() => t.close());
+
+  it("reports usage and listening ports in list_background", async () => {
+    const list = await t.call("list_background");
+    const { usage, pid } = list.processes.find((process) => process.name === "listener");
+    assert.equal(usage.childPids.length, 2);
+    assert.ok(!usage.childPids.includes(pid));
+    assert.ok(usage.rssBytes > 0);
+    assert.ok(usage.threads >= 3);
+    assert.ok(usage.fds >= 3);
+    assert.equal(typeof usage.cpuPercent, "number");
+
+    const node = usage.childPids.find((childPid) => usage.ports.some((port) => port.pid === childPid));
+    assert.deepEqual(usage.ports, [
+      { protocol: "tcp", address: "127.0.0.1", port: tcpPort, pid: node },
+      { protocol: "udp", address: "127.0.0.1", port: udpPort, pid: node },
+    ].sort((a, b) => a.port - b.port));
+  });
+
+  it("omits usage for finished processes", async () => {
+    await t.call("run_background", { name: "done", command: "true" });
+    await t.call("wait_for", { name: "done", exit: true, timeout: 5000 });
+    const list = await t.call("list_background", { status: "exited" });
+    assert.equal(list.processes[0].usage, undefined);
+  });
+
+  it("inspects a process tree with a per-process breakdown", async () => {
+    const result = await t.call("inspect_background", { name: "listener" });
+    assert.equal(result.success, true);
+    assert.equal(result.sampling, undefined);
+    assert.deepEqual(result.usage.processes.map((process) => process.name).sort(), ["bash", "node", "sleep"]);
+    const node = result.usage.processes.find((process) => process.name === "node");
+    assert.ok(node.rssBytes > 0);
+    assert.ok(node.fds >= 5);
+    assert.equal(result.usage.ports.length, 2);
+  });
+
+  it("samples CPU usage over a window", async () => {
+    await t.call("run_background", { name: "busy", command: "while :; do :; done" });
+    const result = await t.call("inspect_background", { name: "busy", sample_ms: 600, samples: 3 });
+    assert.equal(result.success, true);
+    assert.equal(result.sampling.samples.length, 3);
+    assert.ok(result.sampling.windowMs >= 500);
+    assert.ok(result.usage.cpuPercent > 20, `cpuPercent was ${result.usage.cpuPercent}`);
+    assert.ok(result.sampling.peakRssBytes > 0);
+    await t.call("kill_background", { name: "busy" });
+  });
+
+  it("rejects processes that are not running", async () => {
+    const missing = await t.call("inspect_background", { name: "missing" });
+    assert.equal(missing.success, false);
+
+    const finished = await t.call("inspect_background", { name: "done" });
+    assert.equal(finished.success, false);
+    assert.match(finished.error, /not running/);
+  });
+});